@@ -25,12 +25,15 @@ module.exports = {
         '.template-lintrc.js',
         'ember-cli-build.js',
         'index.js',
+        'lib/**/*.js',
+        'node-tests/**/*.js',
         'testem.js',
         'blueprints/*/index.js',
         'config/**/*.js',
         'tests/dummy/config/**/*.js'
       ],
       excludedFiles: [
+        'lib/fake-stripe/stripe-v2.js',
         'addon/**',
         'addon-test-support/**',
         'app/**',
@@ -0,0 +1,158 @@
+import QUnit from 'qunit';
+import { assign } from '@ember/polyfills';
+import StripeMock, {
+  StripeV3Mock,
+  CARD_SCENARIOS,
+  BANK_ACCOUNT_SCENARIOS
+} from 'ember-stripe-service/utils/stripe-mock';
+import { resetLoadScript } from 'ember-stripe-service/utils/load-script';
+
+/*
+ * Test helpers replacing Stripe.js with the mock for every test of a module
+ * and restoring everything afterwards:
+ *
+ * ```js
+ * import { setupStripe } from 'ember-stripe-service/test-support';
+ *
+ * module('Acceptance | checkout', function(hooks) {
+ *   setupApplicationTest(hooks);
+ *   let stripe = setupStripe(hooks);
+ *
+ *   test('it charges the card', async function(assert) {
+ *     stripe.nextTokenResponse({ id: 'tok_visa' });
+ *     // ...
+ *     assert.stripeTokenCreated({ number: '4242424242424242' });
+ *   });
+ * });
+ * ```
+ */
+
+let current = null;
+
+function scenarioFor(namespace, code) {
+  let scenarios = namespace === 'bankAccount' ? BANK_ACCOUNT_SCENARIOS : CARD_SCENARIOS;
+  let numbers = Object.keys(scenarios);
+
+  for (let i = 0; i < numbers.length; i++) {
+    let scenario = scenarios[numbers[i]];
+    if (scenario.code === code || scenario.decline_code === code) {
+      return scenario;
+    }
+  }
+
+  return { code, message: `The request failed with ${code}.` };
+}
+
+function matches(data, expected) {
+  return Object.keys(expected).every((key) => {
+    return data && data[key] !== undefined && String(data[key]) === String(expected[key]);
+  });
+}
+
+QUnit.assert.stripeTokenCreated = function(expected = {}, message = 'a Stripe token was created') {
+  let calls = current ? current.tokens : [];
+  let found = calls.filter(({ data }) => matches(data, expected));
+
+  this.pushResult({
+    result: found.length > 0,
+    actual: calls.map(({ namespace, data }) => ({ namespace, data })),
+    expected,
+    message: current ? message : 'assert.stripeTokenCreated needs setupStripe(hooks)'
+  });
+};
+
+/**
+ * Replaces Stripe.js with the mock before each test, restores it after
+ * @param  {object} hooks    the module's hooks
+ * @param  {object} options  `version` (2 or 3, the configured one by default) and
+ *                           `mock`, options for `StripeMock.setMockOptions`
+ * @return {object}          helpers to stub responses and inspect calls
+ */
+export function setupStripe(hooks, options = {}) {
+  let previousStripe;
+
+  let stripe = {
+    /**
+     * Makes the next token creation answer with `response`, merged over the
+     * token the mock would have built
+     * @param {object} response
+     * @param {object} options   `namespace` (`card`), `status` (200)
+     */
+    nextTokenResponse(response = {}, { namespace = 'card', status = 200 } = {}) {
+      StripeMock.respondNext(namespace, response, status);
+    },
+
+    /**
+     * Makes the next token creation fail with `code`, `card_declined` or
+     * `insufficient_funds` for example, using Stripe's message for it
+     * @param {string} code
+     * @param {object} options  `namespace` (`card`), `type`, `message`, `param`,
+     *                          `decline_code` and `status`
+     */
+    failNextToken(code = 'card_declined', details = {}) {
+      let namespace = details.namespace || 'card';
+      let error = assign(
+        { type: namespace === 'card' ? 'card_error' : 'invalid_request_error' },
+        scenarioFor(namespace, code),
+        details
+      );
+
+      delete error.namespace;
+      delete error.status;
+
+      StripeMock.failNext(namespace, error, details.status);
+    },
+
+    /**
+     * Completes the 3D Secure challenge the service shows, as the customer would
+     * @param {string} status  `succeeded`, `failed` or `abandoned`
+     * @param {string} id      the 3D Secure object's id, the last one created by default
+     */
+    completeThreeDSecure(status, id) {
+      StripeMock.completeThreeDSecure(status, id);
+    },
+
+    /**
+     * Every call made to the mock: `{ namespace, data, status, response }`
+     */
+    get calls() {
+      return StripeMock.recordedCalls();
+    },
+
+    /**
+     * Successful token creations
+     */
+    get tokens() {
+      return this.calls.filter(({ namespace, response }) => {
+        return ['card', 'bankAccount', 'piiData'].indexOf(namespace) !== -1 && !response.error;
+      });
+    }
+  };
+
+  hooks.beforeEach(function() {
+    let config = (this.owner && this.owner.lookup('config:stripe')) || {};
+    let version = Number(options.version || config.version) === 3 ? 3 : 2;
+
+    previousStripe = window.Stripe;
+    window.Stripe = version === 3 ? StripeV3Mock : StripeMock;
+
+    StripeMock.resetMock();
+    resetLoadScript();
+
+    if (options.mock) {
+      StripeMock.setMockOptions(options.mock);
+    }
+
+    current = stripe;
+  });
+
+  hooks.afterEach(function() {
+    StripeMock.resetMock();
+    resetLoadScript();
+
+    window.Stripe = previousStripe;
+    current = null;
+  });
+
+  return stripe;
+}
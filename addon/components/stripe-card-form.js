@@ -0,0 +1,338 @@
+import Component from '@ember/component';
+import { inject as service } from '@ember/service';
+import { computed, get, set, setProperties } from '@ember/object';
+import { assert } from '@ember/debug';
+import { assign } from '@ember/polyfills';
+import { isBlank } from '@ember/utils';
+import layout from 'ember-stripe-service/templates/components/stripe-card-form';
+import { parseExpiry } from 'ember-stripe-service/utils/card-validation';
+import { StripeError } from 'ember-stripe-service/utils/errors';
+import {
+  formatCardNumber,
+  formatExpiry,
+  formatCVC,
+  formatInput
+} from 'ember-stripe-service/utils/card-formatting';
+
+const FIELDS = [
+  { name: 'number', inputName: 'cardnumber', autocomplete: 'cc-number', inputmode: 'numeric', placeholder: '1234 1234 1234 1234' },
+  { name: 'expiry', inputName: 'exp-date', autocomplete: 'cc-exp', inputmode: 'numeric', placeholder: 'MM / YY' },
+  { name: 'cvc', inputName: 'cvc', autocomplete: 'cc-csc', inputmode: 'numeric', placeholder: 'CVC' },
+  { name: 'zip', inputName: 'postal', autocomplete: 'postal-code', inputmode: 'text', placeholder: '' }
+];
+
+/**
+ * Labels of the fields, override them through the `labels` attribute
+ */
+export const DEFAULT_LABELS = {
+  number: 'Card number',
+  expiry: 'Expiration date',
+  cvc: 'Security code',
+  zip: 'ZIP code',
+  submit: 'Pay'
+};
+
+/**
+ * Error messages by field and validation reason, override them through the
+ * `messages` attribute: `messages=(hash number=(hash failed_luhn="..."))`
+ */
+export const DEFAULT_MESSAGES = {
+  number: {
+    empty: 'Enter a card number',
+    invalid_characters: 'The card number is invalid',
+    invalid_length: 'The card number is incomplete',
+    failed_luhn: 'The card number is invalid'
+  },
+  expiry: {
+    empty: 'Enter an expiration date',
+    invalid_format: 'The expiration date is incomplete',
+    invalid_month: 'The expiration month is invalid',
+    invalid_year: 'The expiration year is invalid',
+    expired: 'The card has expired'
+  },
+  cvc: {
+    empty: 'Enter the security code',
+    invalid_characters: 'The security code is invalid',
+    invalid_length: 'The security code is incomplete'
+  },
+  zip: {
+    empty: 'Enter a ZIP code'
+  }
+};
+
+// Stripe's `param` for the card errors it answers with
+const FIELDS_BY_PARAM = {
+  number: 'number',
+  exp_month: 'expiry',
+  exp_year: 'expiry',
+  cvc: 'cvc',
+  address_zip: 'zip'
+};
+
+const FORMATTERS = {
+  number: formatCardNumber,
+  expiry: formatExpiry
+};
+
+/**
+ * A card form tokenizing through `stripe.card.createToken`:
+ *
+ * ```hbs
+ * {{stripe-card-form onToken=(action "charge") onError=(action "failed")}}
+ * ```
+ *
+ * Fields are validated with the service's validators, errors show up once a
+ * field was left or the form submitted. Stripe.js is loaded first when
+ * `lazyLoad` is on. The token request is cancelled when the form is destroyed
+ * and neither callback is called then.
+ */
+export default Component.extend({
+  layout,
+  tagName: 'form',
+  classNames: ['stripe-card-form'],
+  attributeBindings: ['novalidate', 'ariaBusy:aria-busy'],
+  novalidate: true,
+
+  stripe: service(),
+
+  /**
+   * Called with the token
+   */
+  onToken() {},
+
+  /**
+   * Called with the StripeError when Stripe.js failed to load or Stripe
+   * refused the card, or with what `onToken` threw
+   */
+  onError() {},
+
+  /**
+   * Whether the ZIP code field shows up and is required
+   */
+  requireZip: true,
+
+  labels: null,
+  messages: null,
+
+  number: '',
+  expiry: '',
+  cvc: '',
+  zip: '',
+
+  isSubmitting: false,
+
+  /**
+   * Message of the last failed submission that isn't about a single field
+   */
+  submitError: null,
+
+  ariaBusy: computed('isSubmitting', function() {
+    return this.get('isSubmitting') ? 'true' : null;
+  }),
+
+  init() {
+    this._super(...arguments);
+
+    assert(
+      'StripeService: {{stripe-card-form}} tokenizes raw card data and needs Stripe.js v2, use Elements with Stripe.js v3',
+      this.get('stripe.version') !== 3
+    );
+
+    setProperties(this, {
+      touched: {},
+      stripeErrors: {}
+    });
+
+    // start loading Stripe.js early, failures are reported on submit
+    if (this.get('stripe.lazyLoad')) {
+      this.get('stripe').load().catch(() => {});
+    }
+  },
+
+  validation: computed('number', 'expiry', 'cvc', 'zip', 'requireZip', function() {
+    let validation = this.get('stripe').card.validate({
+      number: this.get('number'),
+      exp: this.get('expiry'),
+      cvc: this.get('cvc')
+    });
+
+    if (this.get('requireZip') && isBlank(this.get('zip'))) {
+      validation = {
+        isValid: false,
+        brand: validation.brand,
+        errors: assign({}, validation.errors, { zip: 'empty' })
+      };
+    }
+
+    return validation;
+  }),
+
+  /**
+   * Messages shown for each field, validation errors of the fields the
+   * customer left and what Stripe answered with
+   */
+  errors: computed('validation', 'touched', 'stripeErrors', 'messages', function() {
+    let reasons = this.get('validation.errors');
+    let touched = this.get('touched');
+    let stripeErrors = this.get('stripeErrors');
+    let errors = {};
+
+    FIELDS.forEach(({ name }) => {
+      if (stripeErrors[name]) {
+        errors[name] = stripeErrors[name];
+      } else if (reasons[name] && touched[name]) {
+        errors[name] = this._messageFor(name, reasons[name]);
+      }
+    });
+
+    return errors;
+  }),
+
+  fields: computed('number', 'expiry', 'cvc', 'zip', 'errors', 'labels', 'requireZip', 'elementId', function() {
+    let errors = this.get('errors');
+    let labels = assign({}, DEFAULT_LABELS, this.get('labels'));
+    let fields = this.get('requireZip') ? FIELDS : FIELDS.filter(({ name }) => name !== 'zip');
+
+    return fields.map((field) => {
+      let id = `${this.get('elementId')}-${field.name}`;
+
+      return assign({}, field, {
+        id,
+        errorId: `${id}-error`,
+        label: labels[field.name],
+        value: this.get(field.name),
+        error: errors[field.name] || null
+      });
+    });
+  }),
+
+  submitLabel: computed('labels', function() {
+    return assign({}, DEFAULT_LABELS, this.get('labels')).submit;
+  }),
+
+  submit(event) {
+    event.preventDefault();
+
+    if (this.get('isSubmitting')) {
+      return;
+    }
+
+    let touched = {};
+    FIELDS.forEach(({ name }) => {
+      touched[name] = true;
+    });
+    setProperties(this, { touched, stripeErrors: {}, submitError: null });
+
+    if (!this.get('validation.isValid')) {
+      this._focusFirstError();
+      return;
+    }
+
+    this.set('isSubmitting', true);
+
+    let stripe = this.get('stripe');
+
+    return stripe.load().then(() => {
+      if (!this.isDestroying) {
+        this._tokenRequest = stripe.card.createToken(this._cardData());
+        return this._tokenRequest;
+      }
+    }).then((token) => {
+      if (!this.isDestroying) {
+        this.get('onToken')(token);
+      }
+    }).catch((error) => {
+      // the request was cancelled, or settled once the form was gone
+      if (this.isDestroying) {
+        return;
+      }
+
+      if (error instanceof StripeError) {
+        this._showError(error);
+      }
+
+      this.get('onError')(error);
+    }).finally(() => {
+      this._tokenRequest = null;
+
+      if (!this.isDestroying) {
+        this.set('isSubmitting', false);
+      }
+    });
+  },
+
+  willDestroy() {
+    this._super(...arguments);
+
+    if (this._tokenRequest) {
+      this._tokenRequest.cancel();
+    }
+  },
+
+  actions: {
+    input(name, event) {
+      let input = event.target;
+      let formatter = name === 'cvc' ? (cvc) => formatCVC(cvc, this.get('number')) : FORMATTERS[name];
+      let value = formatter ? formatInput(input, formatter) : input.value;
+
+      let stripeErrors = this.get('stripeErrors');
+      if (stripeErrors[name]) {
+        let remaining = assign({}, stripeErrors);
+        delete remaining[name];
+        this.set('stripeErrors', remaining);
+      }
+
+      this.set(name, value);
+    },
+
+    blur(name) {
+      if (!this.get(`touched.${name}`) && !isBlank(this.get(name))) {
+        this.set('touched', assign({}, this.get('touched'), { [name]: true }));
+      }
+    }
+  },
+
+  _messageFor(field, reason) {
+    let messages = this.get('messages');
+    let custom = messages && get(messages, field);
+
+    return (custom && get(custom, reason)) || DEFAULT_MESSAGES[field][reason] || DEFAULT_MESSAGES[field].empty;
+  },
+
+  _cardData() {
+    let expiry = parseExpiry(this.get('expiry'));
+    let card = {
+      number: String(this.get('number')).replace(/\s/g, ''),
+      cvc: this.get('cvc'),
+      exp_month: expiry.month,
+      exp_year: expiry.year
+    };
+
+    if (this.get('requireZip')) {
+      card.address_zip = String(this.get('zip')).trim();
+    }
+
+    return card;
+  },
+
+  _showError(error) {
+    let field = FIELDS_BY_PARAM[error.param];
+
+    if (field && (field !== 'zip' || this.get('requireZip'))) {
+      set(this, 'stripeErrors', { [field]: error.message });
+      this._focusFirstError();
+    } else {
+      set(this, 'submitError', error.message);
+    }
+  },
+
+  _focusFirstError() {
+    let errors = this.get('errors');
+    let field = this.get('fields').filter(({ name }) => errors[name])[0];
+    let input = field && this.element && this.element.querySelector(`#${field.id}`);
+
+    if (input) {
+      input.focus();
+    }
+  }
+});
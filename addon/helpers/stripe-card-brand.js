@@ -0,0 +1,17 @@
+import Helper from '@ember/component/helper';
+import { inject as service } from '@ember/service';
+
+/**
+ * Brand of a card number, like `stripe.card.cardType` names it
+ *
+ * ```hbs
+ * {{stripe-card-brand number}} {{!-- Visa --}}
+ * ```
+ */
+export default Helper.extend({
+  stripe: service(),
+
+  compute([number]) {
+    return this.get('stripe').card.cardType(number);
+  }
+});
@@ -0,0 +1,17 @@
+import Helper from '@ember/component/helper';
+import { inject as service } from '@ember/service';
+
+/**
+ * Whether a card number is valid, using `stripe.card.validateCardNumber`
+ *
+ * ```hbs
+ * {{#if (stripe-card-valid number)}}...{{/if}}
+ * ```
+ */
+export default Helper.extend({
+  stripe: service(),
+
+  compute([number]) {
+    return this.get('stripe').card.validateCardNumber(number);
+  }
+});
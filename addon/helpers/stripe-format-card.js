@@ -0,0 +1,15 @@
+import { helper } from '@ember/component/helper';
+import { formatCardNumber } from 'ember-stripe-service/utils/card-formatting';
+
+/**
+ * Card number grouped the way its brand prints it
+ *
+ * ```hbs
+ * {{stripe-format-card number}} {{!-- 4242 4242 4242 4242 --}}
+ * ```
+ */
+export function stripeFormatCard([number]) {
+  return formatCardNumber(number);
+}
+
+export default helper(stripeFormatCard);
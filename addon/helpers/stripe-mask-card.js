@@ -0,0 +1,22 @@
+import { helper } from '@ember/component/helper';
+import { maskCardNumber } from 'ember-stripe-service/utils/card-formatting';
+
+/**
+ * Masked card number, every digit is masked following the brand's grouping
+ * when the brand is given
+ *
+ * ```hbs
+ * {{stripe-mask-card token.card.last4}}                         {{!-- •••• 4242 --}}
+ * {{stripe-mask-card token.card.last4 token.card.brand}}        {{!-- •••• •••• •••• 4242 --}}
+ * {{stripe-mask-card token.card.last4 token.card.brand full=false character="*"}}
+ * ```
+ */
+export function stripeMaskCard([number, brand], { full, character }) {
+  return maskCardNumber(number, {
+    brand,
+    character,
+    full: full === undefined ? !!brand : full
+  });
+}
+
+export default helper(stripeMaskCard);
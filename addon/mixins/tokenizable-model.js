@@ -0,0 +1,145 @@
+import DS from 'ember-data';
+import Mixin from '@ember/object/mixin';
+import { inject as service } from '@ember/service';
+import { assert } from '@ember/debug';
+import { assign } from '@ember/polyfills';
+import { underscore } from '@ember/string';
+import { isNone } from '@ember/utils';
+import { all, allSettled } from 'rsvp';
+
+/**
+ * Attributes receiving the token id of each namespace, override them through
+ * `stripeTokenAttributes`
+ */
+export const DEFAULT_TOKEN_ATTRIBUTES = {
+  card: 'cardToken',
+  bankAccount: 'bankAccountToken',
+  piiData: 'piiDataToken'
+};
+
+/**
+ * Tokenizes sensitive attributes through the service before saving an Ember
+ * Data model. Attributes are marked with the namespace they are handed over
+ * to, along with Stripe's name for them (the underscored attribute name by
+ * default):
+ *
+ * ```js
+ * import DS from 'ember-data';
+ * import TokenizableModel from 'ember-stripe-service/mixins/tokenizable-model';
+ *
+ * export default DS.Model.extend(TokenizableModel, {
+ *   number: DS.attr('string', { stripe: 'card' }),
+ *   expMonth: DS.attr('number', { stripe: 'card' }),
+ *   expYear: DS.attr('number', { stripe: 'card' }),
+ *   cvc: DS.attr('string', { stripe: 'card' }),
+ *   zip: DS.attr('string', { stripe: 'card', param: 'address_zip' }),
+ *
+ *   cardToken: DS.attr('string')
+ * });
+ * ```
+ *
+ * Stripe errors are added to the model's errors, on the attribute matching
+ * their `param`, which makes the record invalid until they are fixed. Use the
+ * TokenizableSerializer mixin so sensitive attributes never reach the adapter.
+ */
+export default Mixin.create({
+  stripe: service(),
+
+  /**
+   * Attribute receiving the token id of each namespace, see DEFAULT_TOKEN_ATTRIBUTES
+   */
+  stripeTokenAttributes: null,
+
+  save() {
+    let save = this._super.bind(this, ...arguments);
+
+    if (this.get('isDeleted')) {
+      return save();
+    }
+
+    return DS.PromiseObject.create({
+      promise: this.tokenize().then(() => save())
+    });
+  },
+
+  /**
+   * Creates a token for every namespace having changed sensitive attributes
+   * and sets its id on the namespace's token attribute
+   * @return {promise}  rejects with the first StripeError
+   */
+  tokenize() {
+    let stripe = this.get('stripe');
+    let errors = this.get('errors');
+    let tokenAttributes = assign({}, DEFAULT_TOKEN_ATTRIBUTES, this.get('stripeTokenAttributes'));
+    let namespaces = this._stripeAttributes();
+
+    // errors without an attribute are added again if Stripe still returns them
+    if (Object.keys(namespaces).length) {
+      errors.remove('base');
+    }
+
+    let requests = Object.keys(namespaces).map((namespace) => {
+      let attributes = namespaces[namespace];
+
+      assert(
+        `StripeService: \`${namespace}\` attributes can't be tokenized with Stripe.js v3, use Elements instead`,
+        namespace !== 'card' || stripe.get('version') !== 3
+      );
+      assert(
+        `StripeService: \`${namespace}\` is not a namespace of the stripe service`,
+        stripe[namespace] && typeof stripe[namespace].createToken === 'function'
+      );
+
+      let data = {};
+      attributes.forEach(({ name, param }) => {
+        errors.remove(name);
+        data[param] = this.get(name);
+      });
+
+      return stripe[namespace].createToken(data).then((token) => {
+        this.set(tokenAttributes[namespace], token.id);
+      }, (error) => {
+        this._addStripeError(error, attributes);
+        throw error;
+      });
+    });
+
+    return allSettled(requests).then(() => all(requests));
+  },
+
+  // sensitive attributes by namespace, as long as one of them changed
+  _stripeAttributes() {
+    let changed = this.changedAttributes();
+    let namespaces = {};
+    let dirty = {};
+
+    this.constructor.eachAttribute((name, meta) => {
+      let namespace = meta.options && meta.options.stripe;
+
+      if (!namespace) {
+        return;
+      }
+
+      namespaces[namespace] = namespaces[namespace] || [];
+      namespaces[namespace].push({ name, param: meta.options.param || underscore(name) });
+
+      if (changed[name] && !isNone(this.get(name))) {
+        dirty[namespace] = true;
+      }
+    });
+
+    Object.keys(namespaces).forEach((namespace) => {
+      if (!dirty[namespace]) {
+        delete namespaces[namespace];
+      }
+    });
+
+    return namespaces;
+  },
+
+  _addStripeError(error, attributes) {
+    let attribute = attributes.filter(({ param }) => param === error.param)[0];
+
+    this.get('errors').add(attribute ? attribute.name : 'base', error.message);
+  }
+});
@@ -0,0 +1,22 @@
+import Mixin from '@ember/object/mixin';
+
+/**
+ * Leaves the attributes marked with `stripe` out of the payload, so only
+ * token ids reach the adapter:
+ *
+ * ```js
+ * import DS from 'ember-data';
+ * import TokenizableSerializer from 'ember-stripe-service/mixins/tokenizable-serializer';
+ *
+ * export default DS.JSONAPISerializer.extend(TokenizableSerializer);
+ * ```
+ */
+export default Mixin.create({
+  serializeAttribute(snapshot, json, key, attribute) {
+    if (attribute.options && attribute.options.stripe) {
+      return;
+    }
+
+    this._super(...arguments);
+  }
+});
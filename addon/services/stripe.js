@@ -1,21 +1,218 @@
 /* global Stripe */
 import { isEqual, typeOf } from '@ember/utils';
 
-import { resolve, Promise as EmberPromise } from 'rsvp';
-import { registerWaiter } from '@ember/test';
+import { resolve, reject, defer, Promise as EmberPromise } from 'rsvp';
 import { readOnly } from '@ember/object/computed';
+import { computed, setProperties } from '@ember/object';
+import { run, later, cancel as cancelTimer } from '@ember/runloop';
+import { assign } from '@ember/polyfills';
 import Service from '@ember/service';
+import { getOwner } from '@ember/application';
+import Evented from '@ember/object/evented';
 import Ember from 'ember';
 import loadScript from 'ember-stripe-service/utils/load-script';
+import buildWaiter from 'ember-stripe-service/utils/test-waiter';
+import createCardTestingGuard from 'ember-stripe-service/utils/card-testing-guard';
+import redact from 'ember-stripe-service/utils/redact';
+import createLogger, { configuredLevel } from 'ember-stripe-service/utils/logger';
+import openChallenge, { redirectUrlOf, isResultMessage } from 'ember-stripe-service/utils/three-d-secure';
+import {
+  StripeCardError,
+  StripeInvalidRequestError,
+  StripeCancellationError,
+  StripeTimeoutError,
+  StripeThrottleError,
+  StripeMissingKeyError,
+  StripeScriptLoadError,
+  StripeFastBootError,
+  errorFromResponse
+} from 'ember-stripe-service/utils/errors';
+import { stripeCardHelpers, validateCard } from 'ember-stripe-service/utils/card-validation';
+import {
+  stripeBankAccountHelpers,
+  validateBankAccount,
+  bankAccountRequirements
+} from 'ember-stripe-service/utils/bank-account-validation';
 
-export default Service.extend({
+const SCRIPT_URLS = {
+  2: 'https://js.stripe.com/v2/',
+  3: 'https://js.stripe.com/v3/'
+};
+
+// served by the addon's middleware when `fakeServer` is on
+const FAKE_SCRIPT_URL = '/_stripe/v2/';
+
+function now() {
+  return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+}
+
+// what events tell about an error, the message is left out as it may echo the input
+function errorDetails(error) {
+  return {
+    name: error && error.name,
+    type: error && error.type,
+    code: error && error.code,
+    declineCode: error && error.declineCode,
+    status: error && error.status
+  };
+}
+
+// the Stripe.js v3 methods take the type first (`bank_account`) or in their data
+function v3TypeOf(args) {
+  if (typeof args[0] === 'string') {
+    return args[0];
+  }
+
+  let withType = args.filter((arg) => arg && typeof arg.type === 'string')[0];
+  return withType ? withType.type : 'card';
+}
+
+// the Stripe.js v2 method creating what each namespace creates
+const CREATE_METHODS = {
+  card: 'createToken',
+  bankAccount: 'createToken',
+  piiData: 'createToken',
+  source: 'create',
+  threeDSecure: 'create'
+};
+
+// sources stop changing once they reach one of these
+const TERMINAL_SOURCE_STATUSES = ['chargeable', 'failed', 'canceled', 'consumed'];
+
+// options of the service, as opposed to token data, passed to `card`, `bankAccount` and `piiData`
+const SERVICE_OPTIONS = ['tokenTimeout', 'signal'];
+
+// the Element (or the token type) is compared by identity, the token data by value
+function sameArgs(args, others) {
+  return args[0] === others[0] && JSON.stringify(args.slice(1)) === JSON.stringify(others.slice(1));
+}
+
+// under v3 the options come last, mixed with the token data Stripe.js takes
+function splitServiceOptions(args) {
+  let last = args[args.length - 1];
+  let options = {};
+
+  if (!last || typeof last !== 'object' || !SERVICE_OPTIONS.some((name) => name in last)) {
+    return { data: args, options };
+  }
+
+  let data = {};
+  Object.keys(last).forEach((name) => {
+    if (SERVICE_OPTIONS.indexOf(name) === -1) {
+      data[name] = last[name];
+    } else {
+      options[name] = last[name];
+    }
+  });
+
+  let leading = args.slice(0, -1);
+  return { data: Object.keys(data).length ? leading.concat(data) : leading, options };
+}
+
+const STRIPE_ACCOUNT_V3_ONLY = 'StripeService: `stripeAccount` is only supported with Stripe.js v3, use the connected account\'s `publishableKey` instead';
+
+/**
+ * Triggers events, see `on()`, to plug into analytics and performance monitoring:
+ *
+ * - `scriptLoadStart` with the `url` of Stripe.js
+ * - `scriptLoaded` and `scriptLoadFailed` with the `url`, the `duration` in
+ *   milliseconds and the `error`
+ * - `tokenRequested` with the `type` (`card`, `bankAccount`, `piiData` or the
+ *   Stripe.js v3 type), the `method` and the redacted `data`
+ * - `tokenCreated` and `tokenFailed` with the `type`, `method`, `duration`, the
+ *   `id` of what was created and the `error`'s `name`, `type`, `code`,
+ *   `declineCode` and `status`
+ */
+export default Service.extend(Evented, {
   didConfigure: false,
   config: null,
 
   lazyLoad: readOnly('config.lazyLoad'),
   mock: readOnly('config.mock'),
-  publishableKey: readOnly('config.publishableKey'),
-  debuggingEnabled: readOnly('config.debug'),
+
+  /**
+   * Least severe level logged, `ENV.stripe.logLevel` or `debug` with `debug: true`
+   */
+  logLevel: computed('config.{logLevel,debug}', function() {
+    return configuredLevel(this.get('config'));
+  }),
+
+  /**
+   * Where the service logs to, see `utils/logger`. It writes to the sink
+   * registered as `logger:stripe` (`app/loggers/stripe.js`), the console
+   * otherwise. Set your own to route logs to another sink, sensitive fields
+   * are redacted before they reach it.
+   */
+  logger: computed('logLevel', function() {
+    let owner = getOwner(this);
+    let sink = owner && owner.resolveRegistration('logger:stripe');
+
+    return createLogger({ level: this.get('logLevel'), sink });
+  }),
+
+  /**
+   * The configured key, or the one handed over to `configure()` at runtime
+   */
+  publishableKey: computed('config.publishableKey', {
+    get() {
+      return this.get('config.publishableKey');
+    },
+
+    set(key, value) {
+      return value;
+    }
+  }),
+
+  /**
+   * Function returning the publishable key, or a promise for it, called once
+   * a token is needed and no key is known yet
+   */
+  keyProvider: null,
+  version: computed('config.version', function() {
+    return Number(this.get('config.version')) === 3 ? 3 : 2;
+  }),
+
+  scriptUrl: computed('config.{scriptUrl,fakeServer}', 'version', function() {
+    let version = this.get('version');
+
+    if (this.get('config.scriptUrl')) {
+      return this.get('config.scriptUrl');
+    }
+
+    return this.get('config.fakeServer') && version === 2 ? FAKE_SCRIPT_URL : SCRIPT_URLS[version];
+  }),
+
+  /**
+   * Whether the script tag is injected with `async` or `defer`, Stripe.js may
+   * then arrive after the app boots
+   */
+  loadsAsync: computed('config.{async,defer}', 'lazyLoad', 'mock', function() {
+    return !this.get('lazyLoad') && !this.get('mock') && !!(this.get('config.async') || this.get('config.defer'));
+  }),
+
+  /**
+   * Whether the app is rendering in FastBoot: Stripe.js is left for the
+   * browser, token creation rejects and the built-in validators are used
+   */
+  isFastBoot: computed(function() {
+    return typeof FastBoot !== 'undefined';
+  }),
+
+  /**
+   * Limits how often card tokens are created, see `utils/card-testing-guard`,
+   * turned on by `ENV.stripe.cardTestingGuard`
+   */
+  cardTestingGuard: computed('config.cardTestingGuard', function() {
+    let options = this.get('config.cardTestingGuard');
+    return options ? createCardTestingGuard(options === true ? {} : options) : null;
+  }),
+
+  /**
+   * Function the card testing guard calls once too many cards were declined,
+   * returning a promise that resolves when the challenge (a CAPTCHA for
+   * example) is passed
+   */
+  cardTestingChallenge: null,
 
   runCount: 0,
 
@@ -25,24 +222,77 @@ export default Service.extend({
     let lazyLoad = this.get('lazyLoad');
     let mock = this.get('mock');
 
+    this._inFlight = {};
+    this._inFlightV3 = [];
+    this._waiter = buildWaiter('ember-stripe-service');
+    this._setupNamespaces();
+
+    // the browser loads and configures Stripe.js once the app boots there
+    if (this.get('isFastBoot')) {
+      this.debug('running in FastBoot, Stripe.js is left for the browser');
+      return;
+    }
+
     if (Ember.testing) {
-      this._waiter = () => {
-        return this.get('runCount') === 0;
-      };
-      registerWaiter(this._waiter);
+      this._waiter.register();
     }
 
-    if (!lazyLoad || mock) {
+    if (this.get('loadsAsync') && typeof Stripe === 'undefined') {
+      // token creation waits for it, failures are reported there
+      this.load().catch(() => {});
+    } else if (!lazyLoad || mock) {
       this.configure();
     }
   },
 
+  willDestroy() {
+    this._waiter.unregister();
+    this._super(...arguments);
+  },
+
+  /**
+   * Lists the Stripe requests still waiting for an answer, handy when a test
+   * hangs waiting for the service
+   * @return {array}  `type`, `method`, `startedAt` and the `stack` each
+   *                  request was made from, oldest first
+   */
+  pendingRequests() {
+    return this._waiter.debugInfo().map(({ info, startedAt, stack }) => {
+      return assign({ startedAt, stack }, info);
+    });
+  },
+
+  /**
+   * Counts a request in `runCount` and the test waiter until `_endRequest`
+   */
+  _beginRequest(type, method) {
+    this.incrementProperty('runCount');
+    return this._waiter.beginAsync({ type, method });
+  },
+
+  _endRequest(token) {
+    this._waiter.endAsync(token);
+    this.decrementProperty('runCount');
+  },
+
   load() {
     let lazyLoad = this.get('lazyLoad');
     let mock = this.get('mock');
 
-    let loadJs = lazyLoad && !mock ?
-      loadScript("https://js.stripe.com/v2/") :
+    if (this.get('isFastBoot')) {
+      return resolve();
+    }
+
+    // an async or deferred script tag is waited for until Stripe.js is around
+    let waitForScript = this.get('loadsAsync') && !this.get('didConfigure') && typeof Stripe === 'undefined';
+
+    let loadJs = (lazyLoad && !mock) || waitForScript ?
+      this._loadScript(this.get('scriptUrl'), {
+        timeout: this.get('config.loadTimeout'),
+        retries: this.get('config.loadRetries'),
+        retryDelay: this.get('config.loadRetryDelay'),
+        waitForTag: waitForScript
+      }) :
       resolve();
 
     return loadJs.then(() => {
@@ -50,13 +300,170 @@ export default Service.extend({
     });
   },
 
-  configure() {
+  /**
+   * Loads Stripe.js, triggering `scriptLoadStart` then `scriptLoaded` or
+   * `scriptLoadFailed`
+   */
+  _loadScript(url, options) {
+    let promise = loadScript(url, options);
+
+    // loadScript hands out the same promise until the script fails
+    if (promise !== this._scriptLoad) {
+      let startedAt = now();
+      this._scriptLoad = promise;
+      this.trigger('scriptLoadStart', { url });
+
+      promise.then(() => {
+        this.trigger('scriptLoaded', { url, duration: now() - startedAt });
+      }, (error) => {
+        this.log('warn', `could not load Stripe.js from ${url}:`, error);
+        this.trigger('scriptLoadFailed', { url, duration: now() - startedAt, error: errorDetails(error) });
+      });
+    }
+
+    return promise;
+  },
+
+  /**
+   * Triggers `tokenRequested`, then `tokenCreated` or `tokenFailed` once the
+   * promise `send` returns settles
+   */
+  _instrumentToken(type, method, data, send) {
+    let startedAt = now();
+    this.trigger('tokenRequested', { type, method, data: redact(data) });
+
+    let promise = send();
+
+    promise.then((result) => {
+      let created = result.token || result.source || result.paymentMethod || result;
+      this.trigger('tokenCreated', { type, method, duration: now() - startedAt, id: created.id });
+    }, (error) => {
+      this.trigger('tokenFailed', { type, method, duration: now() - startedAt, error: errorDetails(error) });
+    });
+
+    return promise;
+  },
+
+  /**
+   * Configures Stripe.js once it is around and the publishable key is known.
+   *
+   * The key can be handed over at runtime, when it is not known at build
+   * time, either directly or through a `keyProvider`. Token creation waits for
+   * it. A key handed over once Stripe.js is configured replaces the previous one.
+   *
+   * ```js
+   * stripe.configure({ publishableKey: 'pk_thisIsATestKey' });
+   * stripe.configure({ keyProvider: () => fetchStripeKey() });
+   * ```
+   *
+   * @param  {object} options  optional `publishableKey` or `keyProvider`
+   */
+  configure(options = {}) {
+    if (options.keyProvider) {
+      this.set('keyProvider', options.keyProvider);
+      this._keyRequest = null;
+    }
+
+    if (options.publishableKey) {
+      this._setPublishableKey(options.publishableKey);
+    }
+
     let didConfigure = this.get('didConfigure');
 
-    if (!didConfigure) {
-      let publishableKey = this.get('publishableKey');
-      Stripe.setPublishableKey(publishableKey);
+    if (!didConfigure && this.get('publishableKey') && typeof Stripe !== 'undefined') {
+      if (this.get('version') === 3) {
+        this._configureV3();
+      } else {
+        this._configureV2();
+      }
+
+      this.set('didConfigure', true);
+    }
+  },
+
+  _setPublishableKey(publishableKey) {
+    this.set('publishableKey', publishableKey);
+
+    if (this.get('didConfigure')) {
+      if (this.get('version') === 3) {
+        this.instance = Stripe(publishableKey);
+        this._instances = {};
+      } else {
+        Stripe.setPublishableKey(publishableKey);
+      }
+    }
+
+    if (this._keyDeferred) {
+      this._keyDeferred.resolve();
+      this._keyDeferred = null;
+    }
+  },
+
+  /**
+   * Resolves once the publishable key is known: asks the `keyProvider` or,
+   * with `runtimeKey`, waits for `configure({ publishableKey })`.
+   * Rejects with a StripeMissingKeyError when there is no way to get one.
+   */
+  _waitForKey() {
+    if (this.get('publishableKey')) {
+      return resolve();
+    }
+
+    let keyProvider = this.get('keyProvider');
 
+    if (keyProvider) {
+      if (!this._keyRequest) {
+        this.debug('asking the key provider for the publishable key');
+
+        // a failed request is forgotten so the next call asks again
+        this._keyRequest = resolve().then(() => keyProvider()).then((publishableKey) => {
+          if (!publishableKey) {
+            throw new StripeMissingKeyError('StripeService: the key provider did not return a publishable key');
+          }
+
+          this.configure({ publishableKey });
+        }).catch((error) => {
+          this._keyRequest = null;
+          this.log('warn', 'the key provider failed:', error);
+
+          if (error instanceof StripeMissingKeyError) {
+            throw error;
+          }
+
+          throw new StripeMissingKeyError(`StripeService: the key provider failed: ${error && error.message}`, { error });
+        });
+      }
+
+      return this._keyRequest;
+    }
+
+    if (!this.get('config.runtimeKey')) {
+      return reject(new StripeMissingKeyError('StripeService: Missing Stripe key, set `ENV.stripe.publishableKey` or call `stripe.configure({ publishableKey })`'));
+    }
+
+    this.debug('waiting for the publishable key');
+
+    if (!this._keyDeferred) {
+      this._keyDeferred = defer();
+    }
+
+    return this._keyDeferred.promise;
+  },
+
+  /**
+   * Sets up `card`, `bankAccount` and `piiData` (and the v3 methods under v3)
+   * before Stripe.js is around: token creation waits for it to load and the
+   * card and bank account validators use the built-in ones until Stripe.js
+   * provides its own.
+   *
+   * Under v3 `card`, `bankAccount` and `piiData` keep working so v2 call sites
+   * can be migrated one at a time, but `card.createToken` takes a Stripe
+   * Element instead of the raw card.
+   */
+  _setupNamespaces() {
+    if (this.get('version') === 3) {
+      setProperties(this, this._v3Api({}));
+    } else {
       this.card = {
         createToken: this._createCardToken.bind(this)
       };
@@ -69,125 +476,831 @@ export default Service.extend({
         createToken: this._createPiiDataToken.bind(this)
       };
 
-      this._checkForAndAddCardFn('cardType', Stripe.card.cardType);
-      this._checkForAndAddCardFn('validateCardNumber', Stripe.card.validateCardNumber);
-      this._checkForAndAddCardFn('validateCVC', Stripe.card.validateCVC);
-      this._checkForAndAddCardFn('validateExpiry', Stripe.card.validateExpiry);
+      this.source = {
+        create: this._createSource.bind(this),
+        poll: this._pollSource.bind(this)
+      };
 
-      this.set('didConfigure', true);
+      this.threeDSecure = {
+        create: this._createThreeDSecure.bind(this),
+        authenticate: this._authenticateThreeDSecure.bind(this)
+      };
     }
+
+    assign(this.card, stripeCardHelpers, {
+      validate: validateCard
+    });
+
+    assign(this.bankAccount, stripeBankAccountHelpers, {
+      validate: validateBankAccount,
+      requirements: bankAccountRequirements
+    });
+  },
+
+  _configureV2() {
+    let publishableKey = this.get('publishableKey');
+    Stripe.setPublishableKey(publishableKey);
+
+    this._checkForAndAddFn('card', 'cardType');
+    this._checkForAndAddFn('card', 'validateCardNumber');
+    this._checkForAndAddFn('card', 'validateCVC');
+    this._checkForAndAddFn('card', 'validateExpiry');
+    this._checkForAndAddFn('bankAccount', 'validateRoutingNumber');
+    this._checkForAndAddFn('bankAccount', 'validateAccountNumber');
+  },
+
+  /**
+   * Builds a Stripe.js v3 instance, Stripe.js v3 has no card validation
+   * helpers so the built-in ones are kept
+   */
+  _configureV3() {
+    let publishableKey = this.get('publishableKey');
+    this.instance = Stripe(publishableKey);
+    this._instances = {};
+  },
+
+  _v3Api(scope) {
+    let request = (method, ...leadingArgs) => {
+      return (...args) => this._v3Request(scope, method, leadingArgs.concat(args));
+    };
+
+    // v2 style call sites hand the service's options over along with the token data
+    let tokenRequest = (...leadingArgs) => {
+      return (...args) => {
+        let { data, options } = splitServiceOptions(args);
+
+        return this._v3Request(scope, 'createToken', leadingArgs.concat(data), {
+          tokenTimeout: this._tokenTimeout(options),
+          signal: options.signal,
+          share: true
+        });
+      };
+    };
+
+    return {
+      createToken: request('createToken'),
+      createSource: request('createSource'),
+      createPaymentMethod: request('createPaymentMethod'),
+      elements: (...args) => this._instanceFor(scope).elements(...args),
+
+      card: {
+        createToken: tokenRequest()
+      },
+
+      bankAccount: {
+        createToken: tokenRequest('bank_account')
+      },
+
+      piiData: {
+        createToken: tokenRequest('pii')
+      }
+    };
+  },
+
+  /**
+   * Returns the v3 instance for a publishable key and connected account,
+   * instances are built once and reused
+   */
+  _instanceFor({ publishableKey, stripeAccount }) {
+    if (!publishableKey && !stripeAccount) {
+      return this.instance;
+    }
+
+    publishableKey = publishableKey || this.get('publishableKey');
+
+    let cacheKey = `${publishableKey}:${stripeAccount || ''}`;
+    let instance = this._instances[cacheKey];
+
+    if (!instance) {
+      instance = this._instances[cacheKey] = stripeAccount ?
+        Stripe(publishableKey, { stripeAccount }) :
+        Stripe(publishableKey);
+    }
+
+    return instance;
+  },
+
+  /**
+   * Returns token creation methods bound to another publishable key and/or
+   * connected account, for platforms using Stripe Connect
+   *
+   * ```js
+   * stripe.forAccount({ stripeAccount: 'acct_123' }).card.createToken(card);
+   * ```
+   *
+   * @param  {object} scope
+   * @param  {string} scope.publishableKey  key to use instead of the configured one
+   * @param  {string} scope.stripeAccount   connected account, Stripe.js v3 only:
+   *                                        throws a StripeInvalidRequestError under v2
+   * @return {object}                       `card`, `bankAccount` and `piiData`
+   *                                        namespaces, plus the v3 methods under v3
+   */
+  forAccount(scope = {}) {
+    if (this.get('version') === 3) {
+      return this._v3Api(scope);
+    }
+
+    // checked at runtime, creating the token on the platform account instead is worse than failing
+    if (scope.stripeAccount) {
+      throw new StripeInvalidRequestError(STRIPE_ACCOUNT_V3_ONLY);
+    }
+
+    return {
+      card: {
+        createToken: (card) => this._createCardToken(card, scope)
+      },
+
+      bankAccount: {
+        createToken: (bankAccount) => this._createBankAccountToken(bankAccount, scope)
+      },
+
+      piiData: {
+        createToken: (piiData) => this._createPiiDataToken(piiData, scope)
+      },
+
+      source: {
+        create: (sourceData) => this._createSource(sourceData, scope)
+      },
+
+      threeDSecure: {
+        create: (params) => this._createThreeDSecure(params, scope)
+      }
+    };
   },
 
   stripePromise(callback) {
-    return this.load().then(() => {
+    let call = () => {
+      // a script tag blocked by an ad blocker, the CSP or the network still lets load() resolve
+      if (typeof Stripe === 'undefined') {
+        let url = this.get('scriptUrl');
+        return reject(new StripeScriptLoadError(`StripeService: Stripe.js is not loaded, ${url} may have been blocked`, { url }));
+      }
+
       return new EmberPromise((resolve, reject) => {
         callback(resolve, reject);
       });
+    };
+
+    return this.load().then(() => {
+      // configure() sets Stripe.js up as soon as the key arrives
+      return this.get('publishableKey') ? call() : this._waitForKey().then(call);
     });
   },
 
   /**
   * Creates a creditCard token using Stripe.js API, exposed as `card.createToken`
-  * @param  {object} card  CreditCard
-  * @return {promise}      Returns a promise that holds response, see stripe.js docs for details
-  *                        status is not being returned at the moment but it can be logged
+  * @param  {object} card     CreditCard
+  * @param  {object} options  optional `publishableKey` to create the token with
+  * @return {promise}         Returns a promise that holds response, see stripe.js docs for details
+  *                           rejects with a StripeError holding the status and response
   */
-  _createCardToken(card) {
-    this.debug('card.createToken:', card);
-    this.incrementProperty('runCount');
+  _createCardToken(card, options) {
+    let guard = this.get('cardTestingGuard');
+    let send = (onSend) => this._createToken('card', card, options, onSend);
+
+    return guard ? this._guardCardToken(guard, send) : send();
+  },
 
-    return this.stripePromise((resolve, reject) => {
-      Stripe.card.createToken(card, (status, response) => {
-        this.debug('card.createToken handler - status %s, response:', status, response);
+  /**
+   * Sends the card token request when the card testing guard allows it,
+   * asking for the challenge first when it requires one. Blocked attempts
+   * reject with a StripeThrottleError.
+   *
+   * Attempts and declines are recorded once per request sent to Stripe, so
+   * identical calls sharing a request (a double click) count once.
+   */
+  _guardCardToken(guard, send) {
+    let challenge = this.get('cardTestingChallenge');
+    let blocked = guard.check(typeof challenge === 'function');
 
-        if (response.error) {
-          reject(response);
-        } else {
-          resolve(response);
-        }
+    if (blocked && blocked.reason === 'challenge') {
+      return this._challengeCardToken(guard, challenge, send);
+    }
 
-        this.decrementProperty('runCount');
+    if (blocked) {
+      let seconds = Math.ceil(blocked.retryAfter / 1000);
+      this.debug(`card testing guard: blocked by ${blocked.reason} for %ss`, seconds);
+
+      let promise = reject(new StripeThrottleError(`StripeService: too many attempts, try again in ${seconds}s`, blocked));
+      promise.cancel = () => {};
+      return promise;
+    }
+
+    return send((request) => {
+      guard.recordAttempt();
+
+      request.then(() => {
+        guard.resetDeclines();
+      }, (error) => {
+        if (error instanceof StripeCardError) {
+          guard.recordDecline();
+        }
       });
     });
   },
 
+  _challengeCardToken(guard, challenge, send) {
+    let cancelled = false;
+    let request;
+
+    this.debug('card testing guard: asking for a challenge');
+
+    let promise = resolve().then(() => challenge()).then(() => {
+      guard.resetDeclines();
+    }, (error) => {
+      throw new StripeThrottleError('StripeService: the challenge was not passed', { reason: 'challenge', retryAfter: 0, error });
+    }).then(() => {
+      if (cancelled) {
+        throw new StripeCancellationError('StripeService: the request was cancelled');
+      }
+
+      request = this._guardCardToken(guard, send);
+      return request;
+    });
+
+    promise.cancel = () => {
+      cancelled = true;
+
+      if (request) {
+        request.cancel();
+      }
+    };
+
+    return promise;
+  },
+
   /**
   * Creates a BankAccout token using Stripe.js API, exposed as `bankAccount.createToken`
   * @param  {object} bankAccount
+  * @param  {object} options  optional `publishableKey` to create the token with
   * @return {promise}      Returns a promise that holds response, see stripe.js docs for details
-  *                        Status is not being returned at the moment but it can be logged
+  *                        Rejects with a StripeError holding the status and response
   *
   */
-  _createBankAccountToken(bankAccount) {
-    this.debug('bankAccount.createToken:', bankAccount);
-    this.incrementProperty('runCount');
+  _createBankAccountToken(bankAccount, options) {
+    return this._createToken('bankAccount', bankAccount, options);
+  },
+
+  /**
+   * Creates a piiData token using Stripe.js API, exposed as `piiData.createToken`
+   * @param  {object} piiData  PiiData
+   * @param  {object} options  optional `publishableKey` to create the token with
+   * @return {promise}         Returns a promise that holds response, see stripe.js docs for details
+   *                           rejects with a StripeError holding the status and response
+   */
+  _createPiiDataToken(piiData, options) {
+    return this._createToken('piiData', piiData, options);
+  },
+
+  /**
+   * Creates a source using Stripe.js API, exposed as `source.create`, for
+   * SEPA debit, iDEAL, Bancontact and the other payment methods using sources
+   * @param  {object} sourceData  `type` and the details of the source, see Stripe's docs
+   * @param  {object} options     see `_createToken`
+   * @return {promise}            resolves with the source, rejects with a StripeError
+   */
+  _createSource(sourceData, options) {
+    return this._createToken('source', sourceData, options);
+  },
+
+  /**
+   * Polls a source using Stripe.js API until its status is terminal:
+   * `chargeable`, `failed`, `canceled` or `consumed`. Exposed as `source.poll`.
+   *
+   * Like token creation the promise can be cancelled with `cancel()` or an
+   * AbortSignal, when leaving a route for example, which stops polling.
+   *
+   * @param  {string} id            the source's id
+   * @param  {string} clientSecret  the source's `client_secret`
+   * @param  {object} options       `onStatus` called with the source every
+   *                                time Stripe.js reports it, and `signal`
+   * @return {promise}              resolves with the source in a terminal
+   *                                status, rejects with a StripeError
+   */
+  _pollSource(id, clientSecret, options = {}) {
+    if (this.get('isFastBoot')) {
+      return this._rejectInFastBoot('source.poll');
+    }
 
-    return this.stripePromise((resolve, reject) => {
-      Stripe.bankAccount.createToken(bankAccount, (status, response) => {
+    this.debug('source.poll:', id);
 
-        this.debug('bankAccount.createToken handler - status %s, response:', status, response);
+    let request = { subscribers: 0, finished: false, abandoned: false };
+    let token = this._beginRequest('source', 'source.poll');
 
-        if (response.error) {
-          reject(response);
-        } else {
-          resolve(response);
+    let stopPolling = () => {
+      if (typeof Stripe !== 'undefined' && Stripe.source && Stripe.source.cancelPoll) {
+        Stripe.source.cancelPoll(id);
+      }
+    };
+
+    request.finish = () => {
+      if (!request.finished) {
+        request.finished = true;
+        this._endRequest(token);
+      }
+    };
+
+    request.abandon = () => {
+      request.abandoned = true;
+      stopPolling();
+      request.finish();
+    };
+
+    request.promise = this.stripePromise((resolve, reject) => {
+      if (request.abandoned) {
+        return;
+      }
+
+      Stripe.source.poll(id, clientSecret, (status, source) => {
+        // Stripe.js polls outside of the run loop
+        run(() => {
+          if (request.finished) {
+            return;
+          }
+
+          this.debug('source.poll handler - status %s, source:', status, source);
+
+          try {
+            if (source.error) {
+              reject(errorFromResponse(source, status));
+            } else {
+              if (options.onStatus) {
+                options.onStatus(source);
+              }
+
+              if (TERMINAL_SOURCE_STATUSES.indexOf(source.status) === -1) {
+                return;
+              }
+
+              resolve(source);
+            }
+          } catch (error) {
+            reject(error);
+          }
+
+          stopPolling();
+          request.finish();
+        });
+      });
+    });
+
+    request.promise.catch(request.finish);
+
+    return this._subscribe(request, options.signal);
+  },
+
+  /**
+   * Creates a 3D Secure object for a card using Stripe.js API, exposed as
+   * `threeDSecure.create`. When its status is `redirect_pending` the customer
+   * has to verify their card, see `_authenticateThreeDSecure`.
+   * @param  {object} params   `card`, `amount`, `currency` and `return_url`
+   * @param  {object} options  see `_createToken`
+   * @return {promise}         resolves with the 3D Secure object, rejects with a StripeError
+   */
+  _createThreeDSecure(params, options) {
+    return this._createToken('threeDSecure', params, options);
+  },
+
+  /**
+   * Shows the 3D Secure challenge of `threeDSecure` in an iframe on top of
+   * the page, exposed as `threeDSecure.authenticate`.
+   *
+   * The page at the `return_url` reports the outcome with
+   * `reportThreeDSecureResult`, see `utils/three-d-secure`. For sources of
+   * type `three_d_secure` the final status is then read back from Stripe.
+   * Stripe.js can't read 3D Secure objects back, so for those the status is
+   * the one the return page reported and has to be confirmed by the server.
+   *
+   * When the customer closes the dialog instead the challenge is
+   * `abandoned`. Like token creation the promise can be cancelled with
+   * `cancel()` or an AbortSignal, which closes the dialog.
+   *
+   * @param  {object} threeDSecure  the 3D Secure object `threeDSecure.create`
+   *                                resolved with, or a `three_d_secure` source
+   * @param  {object} options       `container` (`document.body`), `labels`
+   *                                and `signal`
+   * @return {promise}              resolves with the `id` and final `status`,
+   *                                plus the `source` read back from Stripe
+   *                                for sources
+   */
+  _authenticateThreeDSecure(threeDSecure, options = {}) {
+    if (this.get('isFastBoot')) {
+      return this._rejectInFastBoot('threeDSecure.authenticate');
+    }
+
+    let id = threeDSecure.id;
+    let url = redirectUrlOf(threeDSecure);
+
+    if (!url) {
+      this.debug('threeDSecure.authenticate: no challenge needed, status %s', threeDSecure.status);
+      return resolve({ id, status: threeDSecure.status });
+    }
+
+    this.debug('threeDSecure.authenticate:', id);
+
+    let request = { subscribers: 0, finished: false, abandoned: false };
+    let token = this._beginRequest('threeDSecure', 'threeDSecure.authenticate');
+    let isSource = threeDSecure.object === 'source' && !!threeDSecure.client_secret;
+    let returned = false;
+    let challenge;
+    let onMessage;
+
+    request.finish = () => {
+      if (!request.finished) {
+        request.finished = true;
+        window.removeEventListener('message', onMessage);
+
+        if (challenge) {
+          challenge.close();
+        }
+
+        this._endRequest(token);
+      }
+    };
+
+    request.abandon = () => {
+      request.abandoned = true;
+      request.finish();
+    };
+
+    request.promise = new EmberPromise((resolve, reject) => {
+      let complete = (result) => {
+        if (!request.finished) {
+          this.debug('threeDSecure.authenticate: challenge %s', result.status);
+          resolve(assign({ id }, result));
+          request.finish();
         }
+      };
+
+      // the return page can't be trusted with the outcome of a source
+      let checkSource = () => {
+        Stripe.source.get(id, threeDSecure.client_secret, (status, source) => {
+          run(() => {
+            if (request.finished) {
+              return;
+            }
+
+            if (source.error) {
+              reject(errorFromResponse(source, status));
+            } else {
+              complete({ status: source.status, source });
+            }
+          });
+        });
+      };
 
-        this.decrementProperty('runCount');
+      onMessage = (event) => {
+        if (!returned && isResultMessage(event, id)) {
+          returned = true;
+          run(() => isSource ? checkSource() : complete({ status: event.data.status }));
+        }
+      };
+
+      window.addEventListener('message', onMessage);
+
+      challenge = openChallenge(url, {
+        container: options.container,
+        labels: options.labels,
+        onClose: () => run(() => {
+          if (!returned) {
+            complete({ status: 'abandoned' });
+          }
+        })
       });
     });
+
+    request.promise.catch(request.finish);
+
+    return this._subscribe(request, options.signal);
   },
 
   /**
-   * Creates a piiData token using Stripe.js API, exposed as `piiData.createToken`
-   * @param  {object} piiData  PiiData
-   * @return {promise}         Returns a promise that holds response, see stripe.js docs for details
-   *                           status is not being returned at the moment but it can be logged
+   * Calls `Stripe[namespace].createToken` (`Stripe[namespace].create` for
+   * sources and 3D Secure) and settles once Stripe calls back.
+   *
+   * Identical payloads already in flight share the same request instead of
+   * creating a second token. Every caller gets its own promise with a
+   * `cancel()` method, which can also be triggered through an AbortSignal.
+   * Cancelled promises reject with a StripeCancellationError, the request
+   * itself is abandoned once every caller cancelled.
+   *
+   * A caller still waiting after `tokenTimeout` milliseconds, counted from the
+   * call, is rejected with a StripeTimeoutError and leaves the request the same
+   * way. A late callback from Stripe is ignored.
+   *
+   * @param  {string} namespace  `card`, `bankAccount`, `piiData`, `source` or `threeDSecure`
+   * @param  {object} data       the payload handed over to Stripe.js
+   * @param  {object} options    optional `publishableKey` to create the token with,
+   *                             `signal` to cancel the call with and `tokenTimeout`
+   *                             to override `ENV.stripe.tokenTimeout`
+   * @param  {function} onSend   called with the request's promise when a
+   *                             request is sent, not when sharing one
+   * @return {promise}
    */
-  _createPiiDataToken(piiData) {
-    this.debug('piiData.createToken:', piiData);
-    this.incrementProperty('runCount');
+  _createToken(namespace, data, options = {}, onSend) {
+    if (options.stripeAccount) {
+      return reject(new StripeInvalidRequestError(STRIPE_ACCOUNT_V3_ONLY));
+    }
+
+    let method = `${namespace}.${CREATE_METHODS[namespace]}`;
+
+    if (this.get('isFastBoot')) {
+      return this._rejectInFastBoot(method);
+    }
 
-    return this.stripePromise((resolve, reject) => {
-      Stripe.piiData.createToken(piiData, (status, response) => {
+    this.debug(`${method}:`, data);
 
-        this.debug('piiData.createToken handler - status %s, response:', status, response);
+    let key = `${namespace}:${options.publishableKey || ''}:${JSON.stringify(data)}`;
+    let request = this._inFlight[key];
 
-        if (response.error) {
-          reject(response);
-        } else {
-          resolve(response);
+    if (request) {
+      this.debug(`${method}: an identical request is in flight, sharing it`);
+    } else {
+      request = this._inFlight[key] = this._sendTokenRequest(key, namespace, data, options);
+      request.promise.catch(request.finish);
+
+      if (onSend) {
+        onSend(request.promise);
+      }
+    }
+
+    return this._subscribe(request, options.signal, this._tokenTimeout(options));
+  },
+
+  // the per call `tokenTimeout`, `ENV.stripe.tokenTimeout` otherwise
+  _tokenTimeout(options) {
+    return options.tokenTimeout === undefined ? this.get('config.tokenTimeout') : options.tokenTimeout;
+  },
+
+  _sendTokenRequest(key, namespace, data, options) {
+    let method = `${namespace}.${CREATE_METHODS[namespace]}`;
+    let request = { subscribers: 0, finished: false, abandoned: false };
+    let token = this._beginRequest(namespace, method);
+
+    request.finish = () => {
+      if (!request.finished) {
+        request.finished = true;
+
+        if (this._inFlight[key] === request) {
+          delete this._inFlight[key];
         }
 
-        this.decrementProperty('runCount');
+        this._endRequest(token);
+      }
+    };
+
+    // the error the last caller left with, the request settles with it
+    request.abandon = (error) => {
+      request.abandoned = true;
+      request.abandonedWith = error;
+      request.finish();
+    };
+
+    request.promise = this._instrumentToken(namespace, method, data, () => this.stripePromise((resolve, reject) => {
+      // every caller left while Stripe.js was loading, tokenFailed still follows tokenRequested
+      if (request.abandoned) {
+        reject(request.abandonedWith);
+        return;
+      }
+
+      this._withPublishableKey(options.publishableKey, () => {
+        Stripe[namespace][CREATE_METHODS[namespace]](data, (status, response) => {
+          if (request.abandoned) {
+            this.debug(`${method} handler - request was cancelled or timed out, ignoring status %s`, status);
+            reject(request.abandonedWith);
+            return;
+          }
+
+          try {
+            this.debug(`${method} handler - status %s, response:`, status, response);
+
+            if (response.error) {
+              reject(errorFromResponse(response, status));
+            } else {
+              resolve(response);
+            }
+          } catch (error) {
+            reject(error);
+          } finally {
+            request.finish();
+          }
+        });
+      });
+    }));
+
+    return request;
+  },
+
+  _subscribe(request, signal, timeout) {
+    let cancel;
+
+    request.subscribers++;
+
+    let promise = new EmberPromise((resolve, reject) => {
+      let settled = false;
+      let timer;
+
+      let settle = (callback) => {
+        return (value) => {
+          if (!settled) {
+            settled = true;
+            cancelTimer(timer);
+
+            if (signal) {
+              signal.removeEventListener('abort', onAbort);
+            }
+
+            callback(value);
+          }
+        };
+      };
+
+      // the request itself is abandoned once every caller left
+      let leave = (error) => {
+        request.subscribers--;
+
+        if (request.subscribers === 0 && !request.finished) {
+          request.abandon(error);
+        }
+
+        reject(error);
+      };
+
+      cancel = settle(() => {
+        leave(new StripeCancellationError('StripeService: the request was cancelled'));
       });
+
+      if (timeout) {
+        timer = later(settle(() => {
+          this.debug('createToken timed out after %sms', timeout);
+          leave(new StripeTimeoutError(`StripeService: Stripe did not answer within ${timeout}ms`, { timeout }));
+        }), timeout);
+      }
+
+      let onAbort = () => run(cancel);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+
+      request.promise.then(settle(resolve), settle(reject));
     });
+
+    promise.cancel = cancel;
+
+    if (signal && signal.aborted) {
+      cancel();
+    }
+
+    return promise;
+  },
+
+  /**
+   * Runs `callback` with another publishable key set on the Stripe.js v2
+   * global, putting the configured key back right after.
+   *
+   * Stripe.js reads the key synchronously when it builds the request, so
+   * swapping it around the call (and not around the whole round trip) keeps
+   * concurrent calls for different keys from picking up each other's key.
+   */
+  _withPublishableKey(publishableKey, callback) {
+    if (!publishableKey) {
+      return callback();
+    }
+
+    Stripe.setPublishableKey(publishableKey);
+
+    try {
+      return callback();
+    } finally {
+      Stripe.setPublishableKey(this.get('publishableKey'));
+    }
   },
 
   /**
-   * Uses Ember.Logger.info to output service information if debugging is
-   * set
+   * Calls one of the promise based methods on the Stripe.js v3 instance,
+   * exposed as `createToken`, `createSource` and `createPaymentMethod`.
+   *
+   * Like `_createToken`, every caller gets its own promise with a `cancel()`
+   * method and a caller still waiting after `tokenTimeout` milliseconds is
+   * rejected with a StripeTimeoutError. With `share`, identical calls already
+   * in flight (the same Element and token data) share the same request.
    *
-   * notes:
-   * - proxies all arguments to Ember.Logger.info
-   * - pre-pends StripeService to all messages
+   * @param  {object} scope    `publishableKey` and `stripeAccount` to use, see `forAccount`
+   * @param  {string} method   name of the method on the v3 instance
+   * @param  {array}  args     handed over to the method
+   * @param  {object} options  optional `tokenTimeout`, `signal` and `share`
+   * @return {promise}         Resolves with the result (`{ token }`, `{ source }`
+   *                           or `{ paymentMethod }`), rejects with a StripeError
+   *                           when it holds an `error`
    */
-  debug() {
-    let debuggingEnabled = this.get('debuggingEnabled');
+  _v3Request(scope, method, args, options = {}) {
+    if (this.get('isFastBoot')) {
+      return this._rejectInFastBoot(method);
+    }
 
-    if (debuggingEnabled) {
-      let args = Array.prototype.slice.call(arguments);
-      args[0] = `StripeService: ${args[0]}`;
-      Ember.Logger.info.apply(null, args);
+    this.debug(`${method}:`, ...args);
+
+    let key = `${method}:${scope.publishableKey || ''}:${scope.stripeAccount || ''}`;
+    let shared = options.share && this._inFlightV3.filter((entry) => entry.key === key && sameArgs(entry.args, args))[0];
+    let request;
+
+    if (shared) {
+      this.debug(`${method}: an identical request is in flight, sharing it`);
+      request = shared.request;
+    } else {
+      request = this._sendV3Request(scope, method, args);
+
+      if (options.share) {
+        this._inFlightV3.push({ key, args, request });
+      }
     }
+
+    return this._subscribe(request, options.signal, options.tokenTimeout);
   },
 
-  _checkForAndAddCardFn(name, fn) {
-    if (isEqual(typeOf(Stripe.card[name]), 'function')) {
-      this.card[name] = fn;
+  _sendV3Request(scope, method, args) {
+    let type = v3TypeOf(args);
+    let token = this._beginRequest(type, method);
+    let request = { subscribers: 0, finished: false, abandoned: false };
+
+    request.finish = () => {
+      if (!request.finished) {
+        request.finished = true;
+        this._inFlightV3 = this._inFlightV3.filter((entry) => entry.request !== request);
+        this._endRequest(token);
+      }
+    };
+
+    // the error the last caller left with, the request settles with it
+    request.abandon = (error) => {
+      request.abandoned = true;
+      request.abandonedWith = error;
+      request.finish();
+    };
+
+    request.promise = this._instrumentToken(type, method, args, () => this.stripePromise((resolve, reject) => {
+      if (request.abandoned) {
+        reject(request.abandonedWith);
+        return;
+      }
+
+      // v3 promises settle outside of the run loop
+      this._instanceFor(scope)[method](...args).then((result) => {
+        run(() => {
+          if (request.abandoned) {
+            this.debug(`${method} handler - request was cancelled or timed out, ignoring the result`);
+            reject(request.abandonedWith);
+            return;
+          }
+
+          this.debug(`${method} handler - result:`, result);
+
+          if (result.error) {
+            reject(errorFromResponse(result));
+          } else {
+            resolve(result);
+          }
+        });
+      }, (error) => {
+        run(() => {
+          this.debug(`${method} handler - error:`, error);
+          reject(error);
+        });
+      });
+    }));
+
+    // also ends requests failing before Stripe.js is called, while loading it
+    request.promise.then(request.finish, request.finish);
+
+    return request;
+  },
+
+  _rejectInFastBoot(method) {
+    return reject(new StripeFastBootError(`StripeService: ${method} can't be called in FastBoot, Stripe.js only runs in the browser`));
+  },
+
+  /**
+   * Writes to `logger` at the given level, `error`, `warn`, `info` or `debug`
+   */
+  log(level, ...args) {
+    this.get('logger')[level](...args.map(redact));
+  },
+
+  /**
+   * Logs service information at the `debug` level, turned on by `debug: true`
+   */
+  debug(...args) {
+    this.log('debug', ...args);
+  },
+
+  _checkForAndAddFn(namespace, name) {
+    let fn = Stripe[namespace] && Stripe[namespace][name];
+
+    if (isEqual(typeOf(fn), 'function')) {
+      this[namespace][name] = fn;
     } else {
-      this.card[name] = function() {};
-      Ember.Logger.error(`ember-cli-stripe: ${name} on Stripe.card is no longer available`);
+      this.debug(`${name} on Stripe.${namespace} is not available, using the built-in validator`);
     }
   }
 });
@@ -0,0 +1,291 @@
+/*
+ * Bank account validation that doesn't need Stripe.js: ABA routing number
+ * checksums, Canadian transit and institution numbers, UK sort codes,
+ * Australian BSBs and IBANs (mod-97 and per-country lengths).
+ *
+ * Validators return a result explaining why the input is invalid:
+ *
+ * ```js
+ * validateRoutingNumber('110000001', 'US');
+ * // { isValid: false, reason: 'failed_checksum' }
+ * ```
+ *
+ * `stripeBankAccountHelpers` has the same signatures and boolean return
+ * values as Stripe.js v2's `Stripe.bankAccount` helpers, the service falls
+ * back to it.
+ */
+
+/**
+ * IBAN length of every country using them
+ */
+export const IBAN_LENGTHS = {
+  AD: 24, AE: 23, AT: 20, BE: 16, BG: 22, CH: 21, CY: 28, CZ: 24, DE: 22,
+  DK: 18, EE: 20, ES: 24, FI: 18, FR: 27, GB: 22, GI: 23, GR: 27, HR: 21,
+  HU: 28, IE: 22, IS: 26, IT: 27, LI: 21, LT: 20, LU: 20, LV: 21, MC: 27,
+  MT: 31, NL: 18, NO: 15, PL: 28, PT: 25, RO: 24, SE: 24, SI: 19, SK: 24,
+  SM: 27
+};
+
+const IBAN_CURRENCIES = {
+  BG: 'bgn', CH: 'chf', CZ: 'czk', DK: 'dkk', HU: 'huf', IS: 'isk',
+  LI: 'chf', NO: 'nok', PL: 'pln', RO: 'ron', SE: 'sek', AE: 'aed',
+  GI: 'gbp'
+};
+
+const IBAN_EXAMPLES = {
+  AT: 'AT611904300234573201',
+  BE: 'BE68539007547034',
+  DE: 'DE89370400440532013000',
+  ES: 'ES9121000418450200051332',
+  FR: 'FR1420041010050500013M02606',
+  IT: 'IT60X0542811101000000123456',
+  NL: 'NL91ABNA0417164300'
+};
+
+const LOCAL_ACCOUNTS = {
+  US: {
+    currency: 'usd',
+    routingNumber: { label: 'Routing number', example: '110000000' },
+    accountNumber: { label: 'Account number', example: '000123456789', pattern: /^\d{4,17}$/ }
+  },
+  CA: {
+    currency: 'cad',
+    routingNumber: { label: 'Transit and institution number', example: '11000-000' },
+    accountNumber: { label: 'Account number', example: '000123456789', pattern: /^\d{7,12}$/ }
+  },
+  GB: {
+    currency: 'gbp',
+    routingNumber: { label: 'Sort code', example: '10-88-00' },
+    accountNumber: { label: 'Account number', example: '00012345', pattern: /^\d{8}$/ }
+  },
+  AU: {
+    currency: 'aud',
+    routingNumber: { label: 'BSB', example: '110-000' },
+    accountNumber: { label: 'Account number', example: '000123456', pattern: /^\d{5,9}$/ }
+  }
+};
+
+function toString(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+function upper(country) {
+  return toString(country).toUpperCase();
+}
+
+function result(reason) {
+  return { isValid: !reason, reason: reason || null };
+}
+
+/**
+ * ABA routing numbers weigh their digits 3, 7 and 1
+ */
+export function abaChecksum(routingNumber) {
+  let digits = toString(routingNumber);
+
+  if (!/^\d{9}$/.test(digits)) {
+    return false;
+  }
+
+  let weights = [3, 7, 1];
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += parseInt(digits.charAt(i), 10) * weights[i % 3];
+  }
+
+  return sum !== 0 && sum % 10 === 0;
+}
+
+/**
+ * @param  {string} iban  with or without spaces
+ * @return {object}       `isValid`, `country` and `reason`: `empty`,
+ *                        `invalid_characters`, `invalid_country`,
+ *                        `invalid_length` or `failed_checksum`
+ */
+export function validateIban(iban) {
+  let value = toString(iban).replace(/\s/g, '').toUpperCase();
+  let country = value.slice(0, 2);
+  let check = (reason) => ({ isValid: !reason, country: country || null, reason: reason || null });
+
+  if (!value) {
+    return check('empty');
+  }
+
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(value)) {
+    return check('invalid_characters');
+  }
+
+  if (!IBAN_LENGTHS[country]) {
+    return check('invalid_country');
+  }
+
+  if (value.length !== IBAN_LENGTHS[country]) {
+    return check('invalid_length');
+  }
+
+  // move the first four characters to the end, turn letters into numbers (A = 10)
+  // and compute mod 97 piece by piece to stay within safe integers
+  let rearranged = value.slice(4) + value.slice(0, 4);
+  let remainder = 0;
+  for (let i = 0; i < rearranged.length; i++) {
+    let code = rearranged.charCodeAt(i);
+    let digits = code >= 65 ? String(code - 55) : rearranged.charAt(i);
+    remainder = parseInt(`${remainder}${digits}`, 10) % 97;
+  }
+
+  return check(remainder === 1 ? null : 'failed_checksum');
+}
+
+export function usesIban(country) {
+  return !!IBAN_LENGTHS[upper(country)] && upper(country) !== 'GB';
+}
+
+/**
+ * @param  {string} routingNumber
+ * @param  {string} country        two-letter country code
+ * @return {object}                `isValid` and `reason`: `empty`, `invalid_format`
+ *                                 or `failed_checksum`
+ */
+export function validateRoutingNumber(routingNumber, country) {
+  let value = toString(routingNumber).trim();
+
+  switch (upper(country)) {
+    case 'US':
+      if (!value) {
+        return result('empty');
+      }
+      if (!/^\d{9}$/.test(value)) {
+        return result('invalid_format');
+      }
+      return result(abaChecksum(value) ? null : 'failed_checksum');
+
+    case 'CA':
+      if (!value) {
+        return result('empty');
+      }
+      // transit (5 digits) and institution (3 digits), or the electronic format 0IIITTTTT
+      return result(/^\d{5}-?\d{3}$/.test(value) || /^0\d{8}$/.test(value) ? null : 'invalid_format');
+
+    case 'GB':
+    case 'AU':
+      if (!value) {
+        return result('empty');
+      }
+      // sort codes (10-88-00) and BSBs (110-000) have 6 digits
+      return result(/^\d{6}$/.test(value.replace(/-/g, '')) ? null : 'invalid_format');
+
+    default:
+      // IBAN countries need no routing number, others are checked by Stripe
+      if (usesIban(country)) {
+        return result(null);
+      }
+      return result(value ? null : 'empty');
+  }
+}
+
+/**
+ * @param  {string} accountNumber  account number, or IBAN for countries using them
+ * @param  {string} country        two-letter country code
+ * @return {object}                `isValid` and `reason`: `empty`, `invalid_format`
+ *                                 or the IBAN reasons from `validateIban`, with
+ *                                 `invalid_country` for an IBAN from another country
+ */
+export function validateAccountNumber(accountNumber, country) {
+  let value = toString(accountNumber).replace(/[\s-]/g, '');
+  let local = LOCAL_ACCOUNTS[upper(country)];
+
+  if (!value) {
+    return result('empty');
+  }
+
+  if (usesIban(country) || /^[A-Z]{2}\d{2}/i.test(value)) {
+    let iban = validateIban(value);
+
+    if (iban.isValid && iban.country !== upper(country)) {
+      return result('invalid_country');
+    }
+
+    return result(iban.reason);
+  }
+
+  if (local) {
+    return result(local.accountNumber.pattern.test(value) ? null : 'invalid_format');
+  }
+
+  return result(/^[A-Z0-9]+$/i.test(value) ? null : 'invalid_format');
+}
+
+/**
+ * Tells which fields `bankAccount.createToken` needs for a country
+ * @param  {string} country  two-letter country code
+ * @return {object}          `country`, `currency`, `usesIban`, `fields` (the
+ *                           parameters to hand over to Stripe) along with a
+ *                           label and example for the routing and account numbers
+ */
+export function bankAccountRequirements(country) {
+  let code = upper(country);
+  let local = LOCAL_ACCOUNTS[code];
+  let iban = usesIban(code);
+  let fields = ['country', 'currency', 'account_number', 'account_holder_name', 'account_holder_type'];
+
+  if (!iban) {
+    fields.splice(2, 0, 'routing_number');
+  }
+
+  return {
+    country: code,
+    currency: local ? local.currency : (IBAN_CURRENCIES[code] || (iban ? 'eur' : null)),
+    usesIban: iban,
+    fields,
+    routingNumber: iban ? null : (local ? local.routingNumber : { label: 'Routing number', example: null }),
+    accountNumber: iban ?
+      { label: 'IBAN', example: IBAN_EXAMPLES[code] || null } :
+      { label: 'Account number', example: local ? local.accountNumber.example : null }
+  };
+}
+
+/**
+ * Validates a whole bank account, as handed over to `bankAccount.createToken`
+ * @param  {object} bankAccount  `country`, `routingNumber` and `accountNumber`
+ *                               (snake_case works too)
+ * @return {object}              `isValid` and `errors` holding the reason of
+ *                               every invalid field
+ */
+export function validateBankAccount(bankAccount = {}) {
+  let country = bankAccount.country;
+  let routingNumber = bankAccount.routing_number !== undefined ? bankAccount.routing_number : bankAccount.routingNumber;
+  let accountNumber = bankAccount.account_number !== undefined ? bankAccount.account_number : bankAccount.accountNumber;
+  let errors = {};
+
+  if (!country) {
+    errors.country = 'empty';
+  }
+
+  let routing = validateRoutingNumber(routingNumber, country);
+  if (!routing.isValid) {
+    errors.routingNumber = routing.reason;
+  }
+
+  let account = validateAccountNumber(accountNumber, country);
+  if (!account.isValid) {
+    errors.accountNumber = account.reason;
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
+/**
+ * Same signatures and return values as Stripe.js v2's `Stripe.bankAccount` helpers
+ */
+export const stripeBankAccountHelpers = {
+  validateRoutingNumber(routingNumber, country) {
+    return validateRoutingNumber(routingNumber, country).isValid;
+  },
+
+  validateAccountNumber(accountNumber, country) {
+    return validateAccountNumber(accountNumber, country).isValid;
+  }
+};
@@ -0,0 +1,195 @@
+import { brandOf, cardBrand } from 'ember-stripe-service/utils/card-validation';
+
+/*
+ * Turns what customers type into display strings: card numbers grouped the
+ * way their brand prints them, expiration dates as "MM / YY" and CVCs cut to
+ * the brand's length.
+ *
+ * ```js
+ * formatCardNumber('378282246310005');
+ * // '3782 822463 10005'
+ * ```
+ *
+ * `reformat` and `formatInput` keep the caret next to the digit it followed,
+ * so fields don't jump the cursor to the end when reformatted.
+ */
+
+export const EXPIRY_SEPARATOR = ' / ';
+
+export const MASK_CHARACTER = '•';
+
+function toString(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+function digitsOf(value) {
+  return toString(value).replace(/\D/g, '');
+}
+
+/**
+ * Groups the digits of a card number, 4-4-4-4 or 4-6-5 for American Express
+ * @param  {string} number  raw input, anything but digits is dropped
+ * @return {string}         cut to the brand's maximum length
+ */
+export function formatCardNumber(number) {
+  let brand = cardBrand(digitsOf(number));
+  let digits = digitsOf(number).slice(0, Math.max(...brand.lengths));
+  let formatted = '';
+
+  for (let i = 0; i < digits.length; i++) {
+    if (brand.gaps.indexOf(i) !== -1) {
+      formatted += ' ';
+    }
+    formatted += digits.charAt(i);
+  }
+
+  return formatted;
+}
+
+/**
+ * Formats an expiration date as "MM / YY" while it's being typed: "4" becomes
+ * "04", the separator shows up once the year is typed and four digit years
+ * are shortened.
+ * @param  {string} expiry  raw input
+ * @return {string}
+ */
+export function formatExpiry(expiry) {
+  let value = toString(expiry);
+  let parts = value.split(/\s*[/-]\s*/);
+  let month;
+  let year;
+
+  if (parts.length > 1) {
+    // the customer typed the separator: "1/25" is January
+    month = digitsOf(parts[0]).slice(0, 2);
+    year = digitsOf(parts.slice(1).join(''));
+
+    if (month.length === 1) {
+      month = `0${month}`;
+    }
+  } else {
+    let digits = digitsOf(value);
+
+    if (/^[2-9]/.test(digits)) {
+      digits = `0${digits}`;
+    }
+
+    month = digits.slice(0, 2);
+    year = digits.slice(2);
+  }
+
+  if (year.length === 4) {
+    year = year.slice(2);
+  }
+
+  year = year.slice(0, 2);
+
+  return year ? `${month}${EXPIRY_SEPARATOR}${year}` : month;
+}
+
+/**
+ * Drops anything but digits and cuts the CVC to the brand's length
+ * @param  {string} cvc
+ * @param  {string} numberOrBrand  card number or brand name, like `cardType` returns
+ * @return {string}
+ */
+export function formatCVC(cvc, numberOrBrand) {
+  return digitsOf(cvc).slice(0, Math.max(...brandOf(numberOrBrand).cvcLengths));
+}
+
+/**
+ * Masks a card number for display
+ *
+ * ```js
+ * maskCardNumber('4242424242424242');                 // '•••• 4242'
+ * maskCardNumber('4242', { full: true });             // '•••• •••• •••• 4242'
+ * maskCardNumber('378282246310005', { full: true });  // '•••• •••••• •0005'
+ * maskCardNumber('0005', { full: true, brand: 'American Express' });  // same
+ * ```
+ *
+ * @param  {string} number   card number, or its last digits
+ * @param  {object} options  `visible`, the digits left in clear (4), `character`
+ *                           (•), `full` to mask every digit with the brand's grouping
+ *                           and `brand` when only the last digits are known
+ * @return {string}
+ */
+export function maskCardNumber(number, options = {}) {
+  let visible = options.visible === undefined ? 4 : options.visible;
+  let character = options.character || MASK_CHARACTER;
+  let digits = digitsOf(number);
+  let last = visible ? digits.slice(-visible) : '';
+
+  if (!options.full) {
+    return `${character}${character}${character}${character} ${last}`;
+  }
+
+  let brand = cardBrand(digits);
+  let length = digits.length;
+
+  // only the last digits are known: use the brand handed over, 16 digits by default
+  if (digits.length <= visible) {
+    brand = brandOf(options.brand);
+    length = brand.lengths.indexOf(16) === -1 ? brand.lengths[0] : 16;
+  }
+
+  let formatted = '';
+
+  for (let i = 0; i < length; i++) {
+    if (brand.gaps.indexOf(i) !== -1) {
+      formatted += ' ';
+    }
+    formatted += i < length - last.length ? character : last.charAt(i - (length - last.length));
+  }
+
+  return formatted;
+}
+
+/**
+ * Reformats a value, keeping the caret after the same digit
+ * @param  {string}   value      raw input
+ * @param  {number}   caret      caret position in the raw input
+ * @param  {function} formatter  `formatCardNumber`, `formatExpiry`, ...
+ * @return {object}              `{ value, caret }`
+ */
+export function reformat(value, caret, formatter) {
+  value = toString(value);
+
+  let formatted = formatter(value);
+
+  if (caret === undefined || caret === null || caret >= value.length) {
+    return { value: formatted, caret: formatted.length };
+  }
+
+  let digitsBefore = digitsOf(value.slice(0, caret)).length;
+  let position = 0;
+
+  while (digitsBefore > 0 && position < formatted.length) {
+    if (/\d/.test(formatted.charAt(position))) {
+      digitsBefore--;
+    }
+    position++;
+  }
+
+  return { value: formatted, caret: position };
+}
+
+/**
+ * Reformats an input element in place, typically from its `input` event
+ * @param  {HTMLInputElement} input
+ * @param  {function}         formatter  `formatCardNumber`, `formatExpiry`, ...
+ * @return {string}                      the formatted value
+ */
+export function formatInput(input, formatter) {
+  let focused = typeof document !== 'undefined' && document.activeElement === input;
+  let { value, caret } = reformat(input.value, focused ? input.selectionStart : null, formatter);
+
+  if (input.value !== value) {
+    input.value = value;
+  }
+
+  if (focused && input.setSelectionRange) {
+    input.setSelectionRange(caret, caret);
+  }
+
+  return value;
+}
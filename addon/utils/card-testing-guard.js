@@ -0,0 +1,98 @@
+/*
+ * Slows down card testing, bots trying stolen card numbers one after the
+ * other, by limiting how often card tokens are created:
+ *
+ * - at most `maxAttempts` tokens every `window` milliseconds
+ * - past `declinesBeforeCooldown` consecutive declines, a cooldown of
+ *   `cooldown` milliseconds after each decline, doubled on every further
+ *   decline up to `maxCooldown`
+ * - after `challengeAfter` consecutive declines, a challenge (a CAPTCHA for
+ *   example) to pass before the next attempt, when the app provides one
+ *
+ * A successful token or a passed challenge resets the declines.
+ */
+
+export const DEFAULT_GUARD_OPTIONS = {
+  maxAttempts: 5,
+  window: 60000,
+  declinesBeforeCooldown: 1,
+  cooldown: 2000,
+  maxCooldown: 60000,
+  challengeAfter: 3
+};
+
+/**
+ * @param  {object} options  see DEFAULT_GUARD_OPTIONS, plus `now` returning
+ *                           the current time in milliseconds
+ * @return {object}          the guard, see `check`
+ */
+export default function createCardTestingGuard(options = {}) {
+  let settings = {};
+  Object.keys(DEFAULT_GUARD_OPTIONS).forEach((key) => {
+    settings[key] = options[key] === undefined ? DEFAULT_GUARD_OPTIONS[key] : options[key];
+  });
+
+  let now = options.now || Date.now;
+  let attempts = [];
+  let declines = 0;
+  let cooldownUntil = 0;
+
+  return {
+    settings,
+
+    /**
+     * @param  {boolean} canChallenge  whether the app provides a challenge
+     * @return {object}                null when an attempt is allowed, or the
+     *                                 `reason` it isn't (`challenge`,
+     *                                 `cooldown` or `rate_limit`) and the
+     *                                 milliseconds to wait, `retryAfter`
+     */
+    check(canChallenge) {
+      let time = now();
+      attempts = attempts.filter((attempt) => attempt > time - settings.window);
+
+      if (canChallenge && settings.challengeAfter && declines >= settings.challengeAfter) {
+        return { reason: 'challenge', retryAfter: 0 };
+      }
+
+      if (cooldownUntil > time) {
+        return { reason: 'cooldown', retryAfter: cooldownUntil - time };
+      }
+
+      if (attempts.length >= settings.maxAttempts) {
+        return { reason: 'rate_limit', retryAfter: attempts[0] + settings.window - time };
+      }
+
+      return null;
+    },
+
+    recordAttempt() {
+      attempts.push(now());
+    },
+
+    recordDecline() {
+      declines++;
+
+      let extra = declines - settings.declinesBeforeCooldown - 1;
+
+      if (extra >= 0) {
+        cooldownUntil = now() + Math.min(settings.cooldown * Math.pow(2, extra), settings.maxCooldown);
+      }
+    },
+
+    /**
+     * After a successful token or a passed challenge
+     */
+    resetDeclines() {
+      declines = 0;
+      cooldownUntil = 0;
+    },
+
+    /**
+     * Consecutive declines so far
+     */
+    get declines() {
+      return declines;
+    }
+  };
+}
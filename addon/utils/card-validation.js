@@ -0,0 +1,306 @@
+/*
+ * Card validation that doesn't need Stripe.js: Luhn check, brand detection,
+ * per-brand number and CVC lengths and expiry parsing.
+ *
+ * Validators return a result explaining why the input is invalid:
+ *
+ * ```js
+ * validateCardNumber('4242 4242 4242 4241');
+ * // { isValid: false, isPotentiallyValid: true, brand: 'Visa', reason: 'failed_luhn' }
+ * ```
+ *
+ * The number is still potentially valid, Visa numbers can grow to 19 digits.
+ *
+ * `stripeCardHelpers` has the same signatures and boolean return values as
+ * Stripe.js v2's `Stripe.card` helpers, the service falls back to it.
+ */
+
+import { CARD_BRANDS } from 'ember-stripe-service/-private/stripe-data';
+
+const UNKNOWN = 'Unknown';
+
+/**
+ * Brands are named like Stripe.js v2's `cardType` names them, they are
+ * checked in order so co-branded ranges come first. `gaps` are the positions
+ * card numbers are spaced at when formatted. Shared with the fake Stripe
+ * server, see `vendor/ember-stripe-service/stripe-data.js`.
+ */
+export { CARD_BRANDS };
+
+const UNKNOWN_BRAND = {
+  type: UNKNOWN,
+  lengths: [12, 13, 14, 15, 16, 17, 18, 19],
+  cvcLengths: [3, 4],
+  gaps: [4, 8, 12, 16]
+};
+
+function toString(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Removes the spaces and dashes customers type in
+ */
+export function sanitize(value) {
+  return toString(value).replace(/[\s-]/g, '');
+}
+
+export function luhnCheck(number) {
+  let digits = sanitize(number);
+
+  if (!/^\d+$/.test(digits)) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits.charAt(digits.length - 1 - i), 10);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * @param  {string} number  card number, complete or not
+ * @return {object}         the matching entry of CARD_BRANDS, or the unknown brand
+ */
+export function cardBrand(number) {
+  let digits = sanitize(number);
+
+  for (let i = 0; i < CARD_BRANDS.length; i++) {
+    if (CARD_BRANDS[i].pattern.test(digits)) {
+      return CARD_BRANDS[i];
+    }
+  }
+
+  return UNKNOWN_BRAND;
+}
+
+/**
+ * @return {string}  "Visa", "MasterCard", ... or "Unknown", like `Stripe.card.cardType`
+ */
+export function cardType(number) {
+  return cardBrand(number).type;
+}
+
+/**
+ * @param  {string|object} numberOrBrand  card number, brand name or entry of CARD_BRANDS
+ * @return {object}                       the matching entry of CARD_BRANDS, or the unknown brand
+ */
+export function brandOf(numberOrBrand) {
+  if (numberOrBrand && typeof numberOrBrand === 'object') {
+    return numberOrBrand;
+  }
+
+  let value = toString(numberOrBrand);
+
+  for (let i = 0; i < CARD_BRANDS.length; i++) {
+    if (CARD_BRANDS[i].type === value) {
+      return CARD_BRANDS[i];
+    }
+  }
+
+  return /^\d/.test(value) ? cardBrand(value) : UNKNOWN_BRAND;
+}
+
+/**
+ * @param  {string} number
+ * @return {object}  `isValid`, `isPotentiallyValid` (could become valid as the
+ *                   customer keeps typing), `brand` and `reason`: `empty`,
+ *                   `invalid_characters`, `invalid_length` or `failed_luhn`
+ */
+export function validateCardNumber(number) {
+  let digits = sanitize(number);
+  let brand = cardBrand(digits);
+  let maxLength = Math.max(...brand.lengths);
+  let result = { isValid: false, isPotentiallyValid: false, brand: brand.type, reason: null };
+
+  if (!digits) {
+    result.isPotentiallyValid = true;
+    result.reason = 'empty';
+  } else if (!/^\d+$/.test(digits)) {
+    result.reason = 'invalid_characters';
+  } else if (brand.lengths.indexOf(digits.length) === -1) {
+    result.isPotentiallyValid = digits.length < maxLength;
+    result.reason = 'invalid_length';
+  } else if (brand.luhn !== false && !luhnCheck(digits)) {
+    result.isPotentiallyValid = digits.length < maxLength;
+    result.reason = 'failed_luhn';
+  } else {
+    result.isValid = true;
+    result.isPotentiallyValid = true;
+  }
+
+  return result;
+}
+
+/**
+ * @param  {string} cvc
+ * @param  {string} numberOrBrand  card number or brand name, the expected length depends on it
+ * @return {object}                `isValid`, `isPotentiallyValid`, `expectedLengths`
+ *                                 and `reason`: `empty`, `invalid_characters` or `invalid_length`
+ */
+export function validateCVC(cvc, numberOrBrand) {
+  let value = toString(cvc).trim();
+  let expectedLengths = brandOf(numberOrBrand).cvcLengths;
+  let result = { isValid: false, isPotentiallyValid: false, expectedLengths, reason: null };
+
+  if (!value) {
+    result.isPotentiallyValid = true;
+    result.reason = 'empty';
+  } else if (!/^\d+$/.test(value)) {
+    result.reason = 'invalid_characters';
+  } else if (expectedLengths.indexOf(value.length) === -1) {
+    result.isPotentiallyValid = value.length < Math.max(...expectedLengths);
+    result.reason = 'invalid_length';
+  } else {
+    result.isValid = true;
+    result.isPotentiallyValid = true;
+  }
+
+  return result;
+}
+
+/**
+ * Parses "MM/YY", "MM / YYYY", "MMYY" or a month and a year
+ * @return {object}  `{ month, year }` with a four digit year, `null` when it can't be parsed
+ */
+export function parseExpiry(monthOrExpiry, year) {
+  let month;
+
+  if (year === undefined || year === null) {
+    let value = toString(monthOrExpiry).replace(/\s/g, '');
+    let match = value.match(/^(\d{1,2})[/-](\d{2}|\d{4})$/) || value.match(/^(\d{2})(\d{2}|\d{4})$/);
+
+    if (!match) {
+      return null;
+    }
+
+    month = match[1];
+    year = match[2];
+  } else {
+    month = toString(monthOrExpiry).trim();
+    year = toString(year).trim();
+
+    if (!/^\d{1,2}$/.test(month) || !/^(\d{2}|\d{4})$/.test(year)) {
+      return null;
+    }
+  }
+
+  month = parseInt(month, 10);
+  year = parseInt(year, 10);
+
+  if (year < 100) {
+    year += 2000;
+  }
+
+  return { month, year };
+}
+
+/**
+ * Cards expire at the end of their expiration month
+ * @param  {string|number} monthOrExpiry  month, or "MM/YY" when `year` is left out
+ * @param  {string|number} year
+ * @param  {Date}          now            defaults to the current date
+ * @return {object}                       `isValid`, `month`, `year` and `reason`:
+ *                                        `empty`, `invalid_format`, `invalid_month`,
+ *                                        `invalid_year` or `expired`
+ */
+export function validateExpiry(monthOrExpiry, year, now = new Date()) {
+  let result = { isValid: false, month: null, year: null, reason: null };
+
+  if (!toString(monthOrExpiry).trim() && !toString(year).trim()) {
+    result.reason = 'empty';
+    return result;
+  }
+
+  let expiry = parseExpiry(monthOrExpiry, year);
+
+  if (!expiry) {
+    result.reason = 'invalid_format';
+    return result;
+  }
+
+  result.month = expiry.month;
+  result.year = expiry.year;
+
+  let currentYear = now.getFullYear();
+  let currentMonth = now.getMonth() + 1;
+
+  if (expiry.month < 1 || expiry.month > 12) {
+    result.reason = 'invalid_month';
+  } else if (expiry.year > currentYear + 50) {
+    result.reason = 'invalid_year';
+  } else if (expiry.year < currentYear || (expiry.year === currentYear && expiry.month < currentMonth)) {
+    result.reason = 'expired';
+  } else {
+    result.isValid = true;
+  }
+
+  return result;
+}
+
+function pick(object, snakeKey, camelKey) {
+  return object[snakeKey] !== undefined ? object[snakeKey] : object[camelKey];
+}
+
+/**
+ * Validates a whole card, as handed over to `card.createToken`
+ * @param  {object} card  `number`, `cvc` and `exp_month`/`exp_year` (or `exp`)
+ * @return {object}       `isValid`, `brand` and `errors` holding the reason of
+ *                        every invalid field (`number`, `cvc` and `expiry`)
+ */
+export function validateCard(card = {}) {
+  let number = validateCardNumber(card.number);
+  let cvc = validateCVC(card.cvc, number.brand);
+  let month = pick(card, 'exp_month', 'expMonth');
+  let expiry = month === undefined ?
+    validateExpiry(card.exp) :
+    validateExpiry(month, pick(card, 'exp_year', 'expYear'));
+
+  let errors = {};
+
+  if (!number.isValid) {
+    errors.number = number.reason;
+  }
+
+  if (!cvc.isValid) {
+    errors.cvc = cvc.reason;
+  }
+
+  if (!expiry.isValid) {
+    errors.expiry = expiry.reason;
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    brand: number.brand,
+    errors
+  };
+}
+
+/**
+ * Same signatures and return values as Stripe.js v2's `Stripe.card` helpers
+ */
+export const stripeCardHelpers = {
+  cardType,
+
+  validateCardNumber(number) {
+    return validateCardNumber(number).isValid;
+  },
+
+  validateCVC(cvc) {
+    return validateCVC(cvc).isValid;
+  },
+
+  validateExpiry(month, year) {
+    return validateExpiry(month, year).isValid;
+  }
+};
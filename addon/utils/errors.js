@@ -0,0 +1,178 @@
+import { assign } from '@ember/polyfills';
+
+/*
+ * Errors raised by ember-stripe-service.
+ *
+ * They are plain constructors on top of Error rather than classes, subclassing
+ * Error with transpiled classes breaks `instanceof` on older browsers.
+ *
+ * Every error is a StripeError carrying what Stripe answered with:
+ *
+ * - `type`, `code`, `param` and `declineCode` from Stripe's `error` object
+ * - `status`, the HTTP status Stripe.js v2 called back with
+ * - `response`, the raw response
+ * - `isRetryable`, whether trying again later may succeed
+ * - `isUserFixable`, whether the customer can fix their input
+ */
+
+function defineError(name, Parent = Error, prototype = {}) {
+  function StripeServiceError(message, properties) {
+    let error = Error.call(this, message);
+
+    this.name = name;
+    this.message = message;
+    this.stack = error.stack;
+
+    assign(this, properties);
+  }
+
+  StripeServiceError.prototype = Object.create(Parent.prototype);
+  StripeServiceError.prototype.constructor = StripeServiceError;
+  StripeServiceError.prototype.name = name;
+
+  // copy descriptors so getters stay getters
+  Object.keys(prototype).forEach((key) => {
+    Object.defineProperty(StripeServiceError.prototype, key, Object.getOwnPropertyDescriptor(prototype, key));
+  });
+
+  return StripeServiceError;
+}
+
+/**
+ * Base of every error raised by the service
+ */
+export const StripeError = defineError('StripeError', Error, {
+  isRetryable: false,
+  isUserFixable: false
+});
+
+/**
+ * The card can't be used: declined, expired, incorrect number or CVC...
+ */
+export const StripeCardError = defineError('StripeCardError', StripeError, {
+  get isRetryable() {
+    return this.code === 'processing_error';
+  },
+
+  get isUserFixable() {
+    return this.code !== 'processing_error';
+  }
+});
+
+/**
+ * The request had invalid parameters, `param` names the offending one
+ */
+export const StripeInvalidRequestError = defineError('StripeInvalidRequestError', StripeError, {
+  get isUserFixable() {
+    return !!this.param;
+  }
+});
+
+/**
+ * Stripe.js v3 rejected the input before sending it, an incomplete Element for example
+ */
+export const StripeValidationError = defineError('StripeValidationError', StripeError, {
+  isUserFixable: true
+});
+
+/**
+ * Something went wrong on Stripe's end
+ */
+export const StripeApiError = defineError('StripeApiError', StripeError, {
+  isRetryable: true
+});
+
+/**
+ * Stripe could not be reached
+ */
+export const StripeApiConnectionError = defineError('StripeApiConnectionError', StripeError, {
+  isRetryable: true
+});
+
+/**
+ * Stripe did not answer within `tokenTimeout`, `timeout` holds the milliseconds waited
+ */
+export const StripeTimeoutError = defineError('StripeTimeoutError', StripeApiConnectionError);
+
+/**
+ * The publishable key is invalid
+ */
+export const StripeAuthenticationError = defineError('StripeAuthenticationError', StripeError);
+
+/**
+ * Too many requests hit Stripe too quickly
+ */
+export const StripeRateLimitError = defineError('StripeRateLimitError', StripeError, {
+  isRetryable: true
+});
+
+/**
+ * Stripe.js could not be loaded, `url` holds the script that failed
+ */
+export const StripeScriptLoadError = defineError('StripeScriptLoadError', StripeError, {
+  isRetryable: true
+});
+
+/**
+ * Stripe.js did not load within the configured timeout
+ */
+export const StripeScriptTimeoutError = defineError('StripeScriptTimeoutError', StripeScriptLoadError);
+
+/**
+ * The browser is offline, loading is retried once it comes back online
+ */
+export const StripeOfflineError = defineError('StripeOfflineError', StripeScriptLoadError);
+
+/**
+ * The card testing guard blocked a card token: `reason` is `rate_limit`,
+ * `cooldown` or `challenge` (the challenge was not passed) and `retryAfter`
+ * the milliseconds to wait before trying again
+ */
+export const StripeThrottleError = defineError('StripeThrottleError', StripeError, {
+  isRetryable: true
+});
+
+/**
+ * No publishable key is configured, or the key provider failed to supply one
+ */
+export const StripeMissingKeyError = defineError('StripeMissingKeyError', StripeError);
+
+/**
+ * Stripe.js was called while rendering in FastBoot, it only runs in the browser
+ */
+export const StripeFastBootError = defineError('StripeFastBootError', StripeError);
+
+/**
+ * The request was cancelled through `cancel()` or an AbortSignal
+ */
+export const StripeCancellationError = defineError('StripeCancellationError', StripeError);
+
+const ERRORS_BY_TYPE = {
+  card_error: StripeCardError,
+  invalid_request_error: StripeInvalidRequestError,
+  validation_error: StripeValidationError,
+  api_error: StripeApiError,
+  api_connection_error: StripeApiConnectionError,
+  authentication_error: StripeAuthenticationError,
+  rate_limit_error: StripeRateLimitError
+};
+
+/**
+ * Builds the StripeError matching the `error` Stripe answered with
+ * @param  {object} response  Stripe's response (v2) or result (v3), holding an `error`
+ * @param  {number} status    HTTP status, only known with Stripe.js v2
+ * @return {StripeError}
+ */
+export function errorFromResponse(response, status) {
+  let details = (response && response.error) || {};
+  let StripeErrorType = ERRORS_BY_TYPE[details.type] || StripeError;
+
+  return new StripeErrorType(details.message || `Stripe answered with ${details.type || 'an unknown error'}`, {
+    type: details.type,
+    code: details.code,
+    param: details.param,
+    declineCode: details.decline_code,
+    status,
+    response
+  });
+}
@@ -1,37 +1,199 @@
-import { run } from '@ember/runloop';
-import { Promise as EmberPromise } from 'rsvp';
+import { run, later, cancel } from '@ember/runloop';
+import { Promise as EmberPromise, resolve, reject } from 'rsvp';
+import {
+  StripeScriptLoadError,
+  StripeScriptTimeoutError,
+  StripeOfflineError
+} from 'ember-stripe-service/utils/errors';
 
 /*
  * loadScript will load a JavaScript asset. Subsequent load
  * calls with a already requested URL will just chain off the
  * already existing promise.
+ *
+ * A script that doesn't load within `timeout` milliseconds is given up on,
+ * failed attempts are retried `retries` times waiting `retryDelay`
+ * milliseconds, doubled on every attempt. Once every attempt failed the
+ * promise is evicted, so the next call tries again.
+ *
+ * A script that timed out keeps its element: once it started downloading it
+ * runs even when removed, so adding another one could run it twice. Retries
+ * and later calls wait for that element again instead.
+ *
+ * When the browser is offline it rejects with a StripeOfflineError right away
+ * and loads the script again as soon as the browser comes back online.
+ *
+ * With `waitForTag` a script tag already in the page for the same URL, like
+ * the one injected with `async` or `defer`, is waited for instead of being
+ * added a second time.
+ *
+ * Script elements carry the `nonce` option, or the nonce of the page's own
+ * scripts, so a Content Security Policy using nonces lets them through.
  */
 
+export const DEFAULT_OPTIONS = {
+  timeout: 10000,
+  retries: 2,
+  retryDelay: 250,
+  nonce: null,
+  waitForTag: false
+};
+
+// flags the elements this module saw loading, they are not waited for again
+const LOADED = '__loadScriptLoaded';
+
 let loadedScripts = {};
+let waitingForOnline = {};
 
-export default function loadScript(url) {
-  let promise = loadedScripts[url];
-  if (!promise) {
-    promise = new EmberPromise((resolve, reject) => {
-      let element = document.createElement('script');
+// elements added or waited for by url, until they fail
+let scriptElements = {};
+
+function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+// browsers hide nonce attributes, their value is only exposed as a property
+function documentNonce() {
+  let script = document.querySelector('script[nonce]');
+  return script ? script.nonce || script.getAttribute('nonce') : null;
+}
+
+function removeElement(element) {
+  if (element.parentNode) {
+    element.parentNode.removeChild(element);
+  }
+}
+
+function existingElement(url) {
+  let scripts = document.getElementsByTagName('script');
+
+  for (let i = 0; i < scripts.length; i++) {
+    if (scripts[i].getAttribute('src') === url && !scripts[i][LOADED]) {
+      return scripts[i];
+    }
+  }
+
+  return null;
+}
+
+function attempt(url, timeout, nonce, existing) {
+  if (isOffline()) {
+    return reject(new StripeOfflineError(`Could not load script ${url}, the browser is offline`, { url }));
+  }
+
+  if (existing && existing[LOADED]) {
+    return resolve();
+  }
+
+  return new EmberPromise((resolve, reject) => {
+    let timer;
+    let element = existing || document.createElement('script');
+
+    if (!existing) {
       element.type = 'text/javascript';
       element.async = false;
-      element.addEventListener('load', () => {
-        run(() => {
-          resolve();
-        });
-      }, false);
-      element.addEventListener('error', () => {
-        let error = new Error(`Could not load script ${url}`);
-        run(() => {
-          reject(error);
-        });
-      }, false);
 
+      if (nonce) {
+        element.setAttribute('nonce', nonce);
+      }
+    }
+
+    element.addEventListener('load', () => {
+      element[LOADED] = true;
+      run(() => {
+        cancel(timer);
+        resolve();
+      });
+    }, false);
+    element.addEventListener('error', () => {
+      let error = new StripeScriptLoadError(`Could not load script ${url}`, { url });
+      run(() => {
+        cancel(timer);
+        removeElement(element);
+
+        if (scriptElements[url] === element) {
+          delete scriptElements[url];
+        }
+
+        reject(error);
+      });
+    }, false);
+
+    if (timeout) {
+      timer = later(() => {
+        reject(new StripeScriptTimeoutError(`Could not load script ${url} within ${timeout}ms`, { url, timeout }));
+      }, timeout);
+    }
+
+    if (!existing) {
       element.src = url;
 
       let firstScript = document.getElementsByTagName('script')[0];
       firstScript.parentNode.insertBefore(element, firstScript);
+    }
+
+    scriptElements[url] = element;
+  });
+}
+
+function attemptWithRetries(url, options, retry = 0) {
+  // after an error retries add a new element, the failed one is gone
+  let existing = scriptElements[url] || (options.waitForTag && retry === 0 ? existingElement(url) : null);
+
+  return attempt(url, options.timeout, options.nonce || documentNonce(), existing).catch((error) => {
+    if (retry >= options.retries || error instanceof StripeOfflineError) {
+      throw error;
+    }
+
+    let delay = options.retryDelay * Math.pow(2, retry);
+
+    return new EmberPromise((resolve) => later(resolve, delay)).then(() => {
+      return attemptWithRetries(url, options, retry + 1);
+    });
+  });
+}
+
+function loadWhenOnline(url, options) {
+  if (waitingForOnline[url]) {
+    return;
+  }
+
+  let onOnline = () => {
+    window.removeEventListener('online', onOnline, false);
+    delete waitingForOnline[url];
+
+    // failures are evicted and retried by the next call
+    run(() => loadScript(url, options).catch(() => {}));
+  };
+
+  waitingForOnline[url] = onOnline;
+  window.addEventListener('online', onOnline, false);
+}
+
+/**
+ * @param  {string} url
+ * @param  {object} options  `timeout`, `retries`, `retryDelay`, `nonce` and
+ *                           `waitForTag`, see DEFAULT_OPTIONS
+ * @return {promise}
+ */
+export default function loadScript(url, options = {}) {
+  let promise = loadedScripts[url];
+  if (!promise) {
+    let settings = {};
+    Object.keys(DEFAULT_OPTIONS).forEach((key) => {
+      settings[key] = options[key] === undefined ? DEFAULT_OPTIONS[key] : options[key];
+    });
+
+    promise = attemptWithRetries(url, settings).catch((error) => {
+      if (loadedScripts[url] === promise) {
+        delete loadedScripts[url];
+      }
+
+      if (error instanceof StripeOfflineError) {
+        loadWhenOnline(url, settings);
+      }
+
+      throw error;
     });
 
     loadedScripts[url] = promise;
@@ -39,3 +201,16 @@ export default function loadScript(url) {
 
   return promise;
 }
+
+/**
+ * Forgets loaded scripts and stops waiting to come back online, mostly for tests
+ */
+export function resetLoadScript() {
+  Object.keys(waitingForOnline).forEach((url) => {
+    window.removeEventListener('online', waitingForOnline[url], false);
+  });
+
+  loadedScripts = {};
+  waitingForOnline = {};
+  scriptElements = {};
+}
@@ -0,0 +1,97 @@
+/*
+ * Leveled logger the service writes to.
+ *
+ * Messages go to a sink, any object with `error`, `warn`, `info` and `debug`
+ * methods, so they can be routed to a log shipper. The console is the default
+ * sink, with `debug` messages written by `console.log`:
+ *
+ * ```js
+ * let logger = createLogger({
+ *   level: 'info',
+ *   sink: {
+ *     error: (...args) => shipper.send('error', args),
+ *     warn: (...args) => shipper.send('warn', args),
+ *     info: (...args) => shipper.send('info', args),
+ *     debug: (...args) => shipper.send('debug', args)
+ *   }
+ * });
+ * ```
+ *
+ * Messages below `level` are dropped, any other level like `none` turns
+ * logging off. Every argument is redacted, see `utils/redact`, so card
+ * numbers and the like never reach the sink.
+ */
+
+import redact from 'ember-stripe-service/utils/redact';
+
+/**
+ * From the most to the least severe
+ */
+export const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+export const DEFAULT_LEVEL = 'warn';
+
+/**
+ * @param  {object} stripeConfig  `ENV.stripe`
+ * @return {string}               `logLevel`, or `debug` when `debug` is on
+ */
+export function configuredLevel(stripeConfig = {}) {
+  return stripeConfig.logLevel || (stripeConfig.debug ? 'debug' : DEFAULT_LEVEL);
+}
+
+// browsers hide `console.debug` by default, debug messages go to `console.log`
+const CONSOLE_METHODS = {
+  error: 'error',
+  warn: 'warn',
+  info: 'info',
+  debug: 'log'
+};
+
+function consoleSink() {
+  /* eslint-disable no-console */
+  if (typeof console === 'undefined') {
+    return null;
+  }
+
+  let sink = {};
+  LEVELS.forEach((name) => {
+    sink[name] = (...args) => (console[CONSOLE_METHODS[name]] || console.log).apply(console, args);
+  });
+
+  return sink;
+}
+
+/**
+ * @param  {object} options
+ * @param  {string} options.level   least severe level written, `warn` by default
+ * @param  {object} options.sink    where messages go, the console by default
+ * @param  {string} options.prefix  prepended to messages, `StripeService:` by default
+ * @return {object}                 `error`, `warn`, `info` and `debug` methods
+ */
+export default function createLogger({ level = DEFAULT_LEVEL, sink, prefix = 'StripeService:' } = {}) {
+  let threshold = LEVELS.indexOf(level);
+  let logger = { level };
+
+  LEVELS.forEach((name, severity) => {
+    logger[name] = (message, ...args) => {
+      let target = sink || consoleSink();
+
+      if (severity > threshold || !target) {
+        return;
+      }
+
+      let write = target[name] || target.log;
+
+      if (typeof message === 'string') {
+        message = `${prefix} ${message}`;
+      } else {
+        args.unshift(redact(message));
+        message = prefix;
+      }
+
+      write.apply(target, [message].concat(args.map(redact)));
+    };
+  });
+
+  return logger;
+}
@@ -0,0 +1,72 @@
+/*
+ * Redacts the sensitive fields of card, bank account, PII data and source
+ * payloads, so they can be logged or handed over to analytics:
+ *
+ * ```js
+ * redact({ number: '4242424242424242', cvc: '123', exp_month: 12 });
+ * // { number: '[redacted]', cvc: '[redacted]', exp_month: 12 }
+ * ```
+ *
+ * Nested objects and arrays are redacted too, the payload itself is left
+ * untouched. Anything that isn't a plain object, like a Stripe Element, is
+ * kept as is.
+ */
+
+export const REDACTED = '[redacted]';
+
+/**
+ * Field names holding sensitive data, both the camelCase names the service
+ * takes and Stripe's snake_case ones. A source's `client_secret` lets anyone
+ * holding it retrieve the source.
+ */
+export const SENSITIVE_FIELDS = [
+  'number',
+  'cvc',
+  'accountNumber',
+  'account_number',
+  'personalIdNumber',
+  'personal_id_number',
+  'idNumber',
+  'id_number',
+  'ssnLast4',
+  'ssn_last_4',
+  'iban',
+  'client_secret',
+  'clientSecret'
+];
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+
+  let prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * @param  {*} value  payload to redact
+ * @return {*}        a copy with the sensitive fields replaced by REDACTED
+ */
+export default function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  let redacted = {};
+
+  Object.keys(value).forEach((key) => {
+    let sensitive = SENSITIVE_FIELDS.indexOf(key) !== -1 && !isBlank(value[key]);
+    redacted[key] = sensitive ? REDACTED : redact(value[key]);
+  });
+
+  return redacted;
+}
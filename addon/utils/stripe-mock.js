@@ -1,22 +1,712 @@
+import { later } from '@ember/runloop';
+import { assign } from '@ember/polyfills';
+import { Promise as EmberPromise } from 'rsvp';
+import {
+  cardType,
+  validateCardNumber,
+  stripeCardHelpers
+} from 'ember-stripe-service/utils/card-validation';
+import {
+  validateRoutingNumber,
+  stripeBankAccountHelpers
+} from 'ember-stripe-service/utils/bank-account-validation';
+import { RESULT_MESSAGE, CHALLENGE_SELECTOR } from 'ember-stripe-service/utils/three-d-secure';
+import { CARD_SCENARIOS, BANK_ACCOUNT_SCENARIOS } from 'ember-stripe-service/-private/stripe-data';
+
+/*
+ * StripeMock stands in for the Stripe.js v2 global when `mock` is turned on.
+ *
+ * Instead of always succeeding it follows Stripe's documented test numbers,
+ * so decline, expired card and incorrect CVC flows can be exercised offline.
+ * Anything not listed as a scenario tokenizes successfully with a response
+ * shaped like the real one.
+ *
+ * Sources created through `source.create` can be polled, they end up
+ * `chargeable` unless `respondNext('sourcePoll', { status: 'failed' })` says
+ * otherwise.
+ *
+ * 3D Secure objects created through `threeDSecure.create` wait for a
+ * challenge, `completeThreeDSecure` plays the customer's part in it.
+ *
+ * Latency, failures and responses can be injected with `setMockOptions`,
+ * `failNext` and `respondNext`, calls are recorded (`recordedCalls`) and
+ * everything is reset with `resetMock`, they apply to StripeV3Mock as well.
+ */
+
+// Stripe's test numbers, shared with the fake Stripe server
+export { CARD_SCENARIOS, BANK_ACCOUNT_SCENARIOS };
+
+const ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+const DEFAULT_OPTIONS = {
+  latency: 0,
+  failureRate: 0
+};
+
+let options = assign({}, DEFAULT_OPTIONS);
+let queuedResponses = {};
+let recordedCalls = [];
+let createdSources = {};
+let polls = {};
+let lastThreeDSecure = null;
+
+function randomId(prefix) {
+  let id = '';
+  for (let i = 0; i < 24; i++) {
+    id += ID_CHARS.charAt(Math.floor(Math.random() * ID_CHARS.length));
+  }
+  return `${prefix}_${id}`;
+}
+
+// fingerprints are stable for a given number, just like Stripe's
+function fingerprint(value) {
+  let hash = 5381;
+  let result = '';
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash * 33) ^ value.charCodeAt(i)) >>> 0;
+  }
+  for (let i = 0; i < 16; i++) {
+    hash = ((hash * 1103515245) + 12345) >>> 0;
+    result += ID_CHARS.charAt(hash % ID_CHARS.length);
+  }
+  return result;
+}
+
+function digits(value) {
+  return String(value === undefined || value === null ? '' : value).replace(/\D/g, '');
+}
+
+function timestamp() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function pick(object, snakeKey, camelKey) {
+  return object[snakeKey] !== undefined ? object[snakeKey] : object[camelKey];
+}
+
+function expiryOf(card) {
+  let month = pick(card, 'exp_month', 'expMonth');
+  let year = pick(card, 'exp_year', 'expYear');
+
+  if (card.exp && month === undefined) {
+    let parts = String(card.exp).split('/');
+    month = parts[0];
+    year = parts[1];
+  }
+
+  month = parseInt(month, 10);
+  year = parseInt(year, 10);
+
+  if (year < 100) {
+    year += 2000;
+  }
+
+  return { month, year };
+}
+
+function error(type, details) {
+  return { error: assign({ type }, details) };
+}
+
+function takeQueued(namespace, build) {
+  let queue = queuedResponses[namespace];
+
+  if (queue && queue.length) {
+    let queued = queue.shift();
+
+    if (queued.response.error) {
+      return queued;
+    }
+
+    // successful responses are merged over the one the mock would have built
+    let built = build();
+    return {
+      status: queued.status,
+      response: assign({}, built.response.error ? {} : built.response, queued.response)
+    };
+  }
+
+  if (options.failureRate && Math.random() < options.failureRate) {
+    return {
+      status: 500,
+      response: error('api_error', { message: 'An unexpected error occurred (injected by StripeMock).' })
+    };
+  }
+}
+
+function respond(namespace, cb, build, data) {
+  let result = takeQueued(namespace, build) || build();
+
+  recordedCalls.push({ namespace, data, status: result.status, response: result.response });
+
+  if (options.latency > 0) {
+    later(null, cb, result.status, result.response, options.latency);
+  } else {
+    cb(result.status, result.response);
+  }
+}
+
+function validateCard(card) {
+  let number = digits(card.number);
+  let scenario = CARD_SCENARIOS[number];
+
+  if (scenario) {
+    return { status: 402, response: error('card_error', scenario) };
+  }
+
+  if (!validateCardNumber(number).isValid) {
+    return {
+      status: 402,
+      response: error('card_error', { code: 'invalid_number', param: 'number', message: 'This card number looks invalid.' })
+    };
+  }
+}
+
+function cardDetails(card) {
+  let number = digits(card.number);
+  let { month, year } = expiryOf(card);
+  let cvc = digits(card.cvc);
+  let zip = pick(card, 'address_zip', 'addressZip');
+
+  return {
+    brand: cardType(number),
+    country: 'US',
+    exp_month: month,
+    exp_year: year,
+    fingerprint: fingerprint(number),
+    funding: 'credit',
+    last4: number.slice(-4),
+    name: card.name || null,
+    address_zip: zip ? String(zip) : null,
+    address_zip_check: zip ? 'unchecked' : null,
+    cvc_check: cvc ? 'unchecked' : null
+  };
+}
+
+function cardToken(card) {
+  return validateCard(card) || {
+    status: 200,
+    response: {
+      id: randomId('tok'),
+      object: 'token',
+      type: 'card',
+      card: assign({ id: randomId('card'), object: 'card' }, cardDetails(card)),
+      client_ip: null,
+      created: timestamp(),
+      livemode: false,
+      used: false
+    }
+  };
+}
+
+function bankAccountToken(bankAccount) {
+  let accountNumber = digits(pick(bankAccount, 'account_number', 'accountNumber'));
+  let routingNumber = pick(bankAccount, 'routing_number', 'routingNumber');
+  let scenario = BANK_ACCOUNT_SCENARIOS[accountNumber];
+
+  if (scenario) {
+    return { status: 400, response: error('invalid_request_error', scenario) };
+  }
+
+  if (!accountNumber) {
+    return {
+      status: 400,
+      response: error('invalid_request_error', { param: 'account_number', message: 'Missing required param: bank_account[account_number].' })
+    };
+  }
+
+  if (!validateRoutingNumber(routingNumber, bankAccount.country || 'US').isValid) {
+    return {
+      status: 400,
+      response: error('invalid_request_error', { code: 'routing_number_invalid', param: 'routing_number', message: 'Routing number is invalid.' })
+    };
+  }
+
+  return {
+    status: 200,
+    response: {
+      id: randomId('btok'),
+      object: 'token',
+      type: 'bank_account',
+      bank_account: {
+        id: randomId('ba'),
+        object: 'bank_account',
+        account_holder_name: pick(bankAccount, 'account_holder_name', 'accountHolderName') || null,
+        account_holder_type: pick(bankAccount, 'account_holder_type', 'accountHolderType') || null,
+        bank_name: 'STRIPE TEST BANK',
+        country: bankAccount.country || 'US',
+        currency: bankAccount.currency || 'usd',
+        fingerprint: fingerprint(`${routingNumber}${accountNumber}`),
+        last4: accountNumber.slice(-4),
+        routing_number: routingNumber ? String(routingNumber) : null,
+        status: 'new'
+      },
+      client_ip: null,
+      created: timestamp(),
+      livemode: false,
+      used: false
+    }
+  };
+}
+
+function piiDataToken(piiData) {
+  if (!digits(pick(piiData, 'personal_id_number', 'personalIdNumber'))) {
+    return {
+      status: 400,
+      response: error('invalid_request_error', { param: 'personal_id_number', message: 'Missing required param: pii[personal_id_number].' })
+    };
+  }
+
+  return {
+    status: 200,
+    response: {
+      id: randomId('pii'),
+      object: 'token',
+      type: 'pii',
+      client_ip: null,
+      created: timestamp(),
+      livemode: false,
+      used: false
+    }
+  };
+}
+
+const V3_BRANDS = {
+  'Visa': 'visa',
+  'MasterCard': 'mastercard',
+  'American Express': 'amex',
+  'Discover': 'discover',
+  'Diners Club': 'diners',
+  'JCB': 'jcb',
+  'UnionPay': 'unionpay',
+  'Maestro': 'unknown',
+  'Unknown': 'unknown'
+};
+
+const DEFAULT_ELEMENT_CARD = {
+  number: '4242424242424242',
+  exp_month: 12,
+  exp_year: 2030,
+  cvc: '123'
+};
+
+function mockElement(type, elementOptions = {}) {
+  return {
+    type,
+    // the card the element pretends the customer typed in
+    mockCard: elementOptions.mockCard || assign({}, DEFAULT_ELEMENT_CARD),
+    mount() {},
+    unmount() {},
+    destroy() {},
+    on() {},
+    off() {},
+    update() {},
+    focus() {},
+    blur() {},
+    clear() {}
+  };
+}
+
+function isElement(value) {
+  return !!value && typeof value === 'object' && typeof value.mount === 'function';
+}
+
+function cardSource(card, sourceData) {
+  let details = cardDetails(card);
+
+  return validateCard(card) || {
+    status: 200,
+    response: {
+      id: randomId('src'),
+      object: 'source',
+      type: 'card',
+      card: {
+        brand: details.brand,
+        country: details.country,
+        exp_month: details.exp_month,
+        exp_year: details.exp_year,
+        fingerprint: details.fingerprint,
+        funding: details.funding,
+        last4: details.last4,
+        three_d_secure: 'optional'
+      },
+      client_secret: randomId('src_client_secret'),
+      created: timestamp(),
+      flow: 'none',
+      livemode: false,
+      owner: sourceData.owner || {},
+      status: 'chargeable',
+      usage: 'reusable'
+    }
+  };
+}
+
+function redirectSource(sourceData) {
+  return {
+    status: 200,
+    response: {
+      id: randomId('src'),
+      object: 'source',
+      type: sourceData.type,
+      amount: sourceData.amount || null,
+      currency: sourceData.currency || null,
+      client_secret: randomId('src_client_secret'),
+      created: timestamp(),
+      flow: 'redirect',
+      livemode: false,
+      owner: sourceData.owner || {},
+      redirect: {
+        return_url: sourceData.redirect ? sourceData.redirect.return_url : null,
+        status: 'pending',
+        url: 'https://hooks.stripe.com/redirect/authenticate/mock'
+      },
+      status: 'pending',
+      usage: 'single_use'
+    }
+  };
+}
+
+function paymentMethod(card, billingDetails) {
+  let details = cardDetails(card);
+
+  return validateCard(card) || {
+    status: 200,
+    response: {
+      id: randomId('pm'),
+      object: 'payment_method',
+      type: 'card',
+      billing_details: billingDetails || {},
+      card: {
+        brand: V3_BRANDS[details.brand],
+        country: details.country,
+        exp_month: details.exp_month,
+        exp_year: details.exp_year,
+        fingerprint: details.fingerprint,
+        funding: details.funding,
+        last4: details.last4
+      },
+      created: timestamp(),
+      livemode: false
+    }
+  };
+}
+
+function sepaDebitSource(sourceData) {
+  let iban = String((sourceData.sepa_debit && sourceData.sepa_debit.iban) || '').replace(/\s/g, '');
+
+  if (!iban) {
+    return {
+      status: 400,
+      response: error('invalid_request_error', { param: 'sepa_debit[iban]', message: 'Missing required param: sepa_debit[iban].' })
+    };
+  }
+
+  return {
+    status: 200,
+    response: {
+      id: randomId('src'),
+      object: 'source',
+      type: 'sepa_debit',
+      currency: sourceData.currency || 'eur',
+      client_secret: randomId('src_client_secret'),
+      created: timestamp(),
+      flow: 'none',
+      livemode: false,
+      owner: sourceData.owner || {},
+      sepa_debit: {
+        bank_code: iban.slice(4, 12),
+        country: iban.slice(0, 2),
+        fingerprint: fingerprint(iban),
+        last4: iban.slice(-4),
+        mandate_reference: randomId('mandate').toUpperCase(),
+        mandate_url: 'https://hooks.stripe.com/adapter/sepa_debit/file/mock'
+      },
+      status: 'chargeable',
+      usage: 'reusable'
+    }
+  };
+}
+
+// Stripe.js v2 `Stripe.source.create`
+function v2Source(sourceData) {
+  if (!sourceData.type) {
+    return {
+      status: 400,
+      response: error('invalid_request_error', { param: 'type', message: 'Missing required param: type.' })
+    };
+  }
+
+  if (sourceData.type === 'card') {
+    return cardSource(sourceData.card || {}, sourceData);
+  }
+
+  if (sourceData.type === 'sepa_debit') {
+    return sepaDebitSource(sourceData);
+  }
+
+  return redirectSource(sourceData);
+}
+
+// Stripe.js v2 `Stripe.threeDSecure.create`
+function threeDSecure(params) {
+  let missing = ['card', 'amount', 'currency'].filter((param) => !params[param])[0];
+
+  if (missing) {
+    return {
+      status: 400,
+      response: error('invalid_request_error', { param: missing, message: `Missing required param: ${missing}.` })
+    };
+  }
+
+  return {
+    status: 200,
+    response: {
+      id: randomId('tdsrc'),
+      object: 'three_d_secure',
+      amount: params.amount,
+      currency: params.currency,
+      authenticated: false,
+      card: params.card,
+      created: timestamp(),
+      livemode: false,
+      redirect: {
+        url: 'about:blank',
+        return_url: params.return_url || null,
+        status: 'pending'
+      },
+      status: 'redirect_pending'
+    }
+  };
+}
+
+function respondV3(namespace, build, key, data) {
+  return new EmberPromise((resolve) => {
+    respond(namespace, (status, response) => {
+      resolve(response.error ? { error: response.error } : { [key]: response });
+    }, build, data);
+  });
+}
+
+/*
+ * StripeV3Mock stands in for the Stripe.js v3 `Stripe` function, it returns
+ * an instance answering with the same scenarios as StripeMock.
+ *
+ * Elements created through it tokenize `element.mockCard`, which defaults to
+ * a valid Visa card and can be replaced to exercise the error scenarios.
+ */
+export function StripeV3Mock() {
+  return {
+    elements() {
+      return {
+        create: mockElement
+      };
+    },
+
+    createToken(elementOrType, data = {}) {
+      if (elementOrType === 'bank_account') {
+        return respondV3('bankAccount', () => bankAccountToken(data), 'token', data);
+      }
+
+      if (elementOrType === 'pii') {
+        return respondV3('piiData', () => piiDataToken(data), 'token', data);
+      }
+
+      let card = assign({}, elementOrType.mockCard, data);
+      return respondV3('card', () => cardToken(card), 'token', card);
+    },
+
+    createSource(elementOrData, data) {
+      if (isElement(elementOrData)) {
+        let sourceData = data || {};
+        return respondV3('source', () => cardSource(elementOrData.mockCard, sourceData), 'source', sourceData);
+      }
+
+      return respondV3('source', () => redirectSource(elementOrData || {}), 'source', elementOrData);
+    },
+
+    createPaymentMethod(typeOrData, element, data) {
+      // supports both `(type, element, data)` and `({ type, card, billing_details })`
+      let options = typeof typeOrData === 'object' ?
+        typeOrData :
+        assign({ type: typeOrData, card: element }, data);
+
+      return respondV3('paymentMethod', () => paymentMethod(options.card.mockCard, options.billing_details), 'paymentMethod', options);
+    }
+  };
+}
+
 export default {
   setPublishableKey() {},
+
+  /**
+   * Changes how the mock behaves for every following call
+   * @param {object} mockOptions
+   * @param {number} mockOptions.latency      milliseconds to wait before calling back
+   * @param {number} mockOptions.failureRate  probability (0 to 1) of answering with an `api_error`
+   */
+  setMockOptions(mockOptions) {
+    assign(options, mockOptions);
+  },
+
+  /**
+   * Makes the next `createToken` call on `namespace` fail
+   * @param {string} namespace  `card`, `bankAccount` or `piiData`
+   * @param {object} error      the `error` object Stripe would send back
+   * @param {number} status     HTTP status, defaults to 402 for card errors and 400 otherwise
+   */
+  failNext(namespace, error, status) {
+    this.respondNext(namespace, { error }, status || (error.type === 'card_error' ? 402 : 400));
+  },
+
+  /**
+   * Makes the next call on `namespace` answer with `response`, successful
+   * responses are merged over the one the mock would have built
+   * @param {string} namespace  `card`, `bankAccount`, `piiData`, `source`, `sourcePoll`,
+   *                            `sourceGet`, `threeDSecure` or `paymentMethod`
+   * @param {object} response   the response Stripe would send back
+   * @param {number} status     HTTP status, defaults to 200
+   */
+  respondNext(namespace, response, status = 200) {
+    let queue = queuedResponses[namespace] = queuedResponses[namespace] || [];
+    queue.push({ status, response });
+  },
+
+  /**
+   * Calls made since the last reset
+   * @return {array}  `{ namespace, data, status, response }` for every call
+   */
+  recordedCalls() {
+    return recordedCalls.slice();
+  },
+
+  resetMock() {
+    Object.keys(polls).forEach((id) => this.source.cancelPoll(id));
+
+    options = assign({}, DEFAULT_OPTIONS);
+    queuedResponses = {};
+    recordedCalls = [];
+    createdSources = {};
+    polls = {};
+    lastThreeDSecure = null;
+  },
+
+  /**
+   * Plays the customer's part in a 3D Secure challenge opened by the service:
+   * `succeeded` and `failed` are reported the way the `return_url` page
+   * would, `abandoned` closes the challenge. A `three_d_secure` source ends
+   * up `chargeable` or `failed`.
+   * @param {string} status  `succeeded`, `failed` or `abandoned`
+   * @param {string} id      the 3D Secure object's id, the last one created
+   *                         by default
+   */
+  completeThreeDSecure(status = 'succeeded', id = lastThreeDSecure) {
+    if (status === 'abandoned') {
+      let close = document.querySelector(`${CHALLENGE_SELECTOR} button`);
+
+      if (close) {
+        close.click();
+      }
+
+      return;
+    }
+
+    if (createdSources[id]) {
+      createdSources[id] = assign({}, createdSources[id], { status: status === 'succeeded' ? 'chargeable' : 'failed' });
+    }
+
+    window.dispatchEvent(new MessageEvent('message', {
+      data: { type: RESULT_MESSAGE, id, status },
+      origin: window.location.origin
+    }));
+  },
+
   card: {
-    cardType() {},
-    validateCardNumber() {},
-    validateCVC() {},
-    validateExpiry() {},
+    cardType: stripeCardHelpers.cardType,
+    validateCardNumber: stripeCardHelpers.validateCardNumber,
+    validateCVC: stripeCardHelpers.validateCVC,
+    validateExpiry: stripeCardHelpers.validateExpiry,
     createToken(card, cb) {
-      cb('ok', { id: 'mocked' });
+      respond('card', cb, () => cardToken(card || {}), card);
     }
   },
   bankAccount: {
-    createToken(backAccount, cb) {
-      cb('ok', { id: 'mocked' });
+    validateRoutingNumber: stripeBankAccountHelpers.validateRoutingNumber,
+    validateAccountNumber: stripeBankAccountHelpers.validateAccountNumber,
+    createToken(bankAccount, cb) {
+      respond('bankAccount', cb, () => bankAccountToken(bankAccount || {}), bankAccount);
     }
   },
   piiData: {
     createToken(piiData, cb) {
-      cb('ok', { id: 'mocked' });
+      respond('piiData', cb, () => piiDataToken(piiData || {}), piiData);
+    }
+  },
+  source: {
+    create(sourceData, cb) {
+      respond('source', (status, response) => {
+        if (!response.error) {
+          createdSources[response.id] = response;
+
+          if (response.type === 'three_d_secure') {
+            lastThreeDSecure = response.id;
+          }
+        }
+
+        cb(status, response);
+      }, () => v2Source(sourceData || {}), sourceData);
+    },
+
+    /**
+     * Calls back with the source as it is, then once more with the status it
+     * ends up with when it was pending
+     */
+    poll(id, clientSecret, cb) {
+      let source = createdSources[id] || { id, object: 'source', client_secret: clientSecret, status: 'pending' };
+      let poll = polls[id] = { cancelled: false };
+
+      let notify = (status, response) => {
+        if (!poll.cancelled) {
+          cb(status, response);
+        }
+      };
+
+      later(() => {
+        notify(200, source);
+
+        if (source.status === 'pending' && !poll.cancelled) {
+          respond('sourcePoll', notify, () => {
+            return { status: 200, response: assign({}, source, { status: 'chargeable' }) };
+          }, { id });
+        }
+      }, 0);
+    },
+
+    get(id, clientSecret, cb) {
+      let source = createdSources[id];
+
+      respond('sourceGet', cb, () => {
+        return source && source.client_secret === clientSecret ?
+          { status: 200, response: source } :
+          { status: 404, response: error('invalid_request_error', { param: 'id', message: `No such source: ${id}` }) };
+      }, { id });
+    },
+
+    cancelPoll(id) {
+      if (polls[id]) {
+        polls[id].cancelled = true;
+        delete polls[id];
+      }
+    }
+  },
+  threeDSecure: {
+    create(params, cb) {
+      respond('threeDSecure', (status, response) => {
+        if (!response.error) {
+          lastThreeDSecure = response.id;
+        }
+
+        cb(status, response);
+      }, () => threeDSecure(params || {}), params);
     }
   }
 };
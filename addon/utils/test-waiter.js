@@ -0,0 +1,119 @@
+import { registerWaiter, unregisterWaiter } from '@ember/test';
+
+/*
+ * Test waiter tracking every pending operation on its own, in the style of
+ * `@ember/test-waiters`' `buildWaiter`:
+ *
+ * ```js
+ * let waiter = buildWaiter('ember-stripe-service');
+ * waiter.register();
+ *
+ * let token = waiter.beginAsync({ type: 'card' });
+ * // ...
+ * waiter.endAsync(token);
+ * ```
+ *
+ * Every pending operation records what it is about and the stack it was
+ * started from, so a test stuck waiting can tell which call never settled.
+ */
+
+let uid = 0;
+let registeredWaiters = [];
+
+/**
+ * @param  {string} name  shown in the waiter's debug info
+ * @return {object}       the waiter, see `beginAsync` and `endAsync`
+ */
+export default function buildWaiter(name) {
+  let pending = {};
+  let registered = false;
+
+  let waiter = {
+    name,
+
+    get isRegistered() {
+      return registered;
+    },
+
+    /**
+     * Starts tracking an operation
+     * @param  {object} info  what the operation is about, kept in `debugInfo`
+     * @return {number}       token to hand over to `endAsync`
+     */
+    beginAsync(info = {}) {
+      let token = ++uid;
+
+      pending[token] = {
+        info,
+        startedAt: Date.now(),
+        stack: new Error(`${name}: pending operation`).stack
+      };
+
+      return token;
+    },
+
+    /**
+     * Stops tracking an operation, ending it twice is harmless
+     * @param {number} token  returned by `beginAsync`
+     */
+    endAsync(token) {
+      delete pending[token];
+    },
+
+    /**
+     * @return {boolean}  whether every operation has ended
+     */
+    waitUntil() {
+      return Object.keys(pending).length === 0;
+    },
+
+    /**
+     * @return {array}  the pending operations, oldest first: `info`,
+     *                  `startedAt` and the `stack` they were started from
+     */
+    debugInfo() {
+      return Object.keys(pending).map((token) => pending[token]);
+    },
+
+    /**
+     * Makes settled() and the other test helpers wait for the pending operations
+     */
+    register() {
+      if (!registered) {
+        registered = true;
+        registeredWaiters.push(waiter);
+        registerWaiter(waiter.waitUntil);
+      }
+    },
+
+    unregister() {
+      if (registered) {
+        registered = false;
+        registeredWaiters.splice(registeredWaiters.indexOf(waiter), 1);
+        unregisterWaiter(waiter.waitUntil);
+      }
+    }
+  };
+
+  return waiter;
+}
+
+/**
+ * What the registered waiters are waiting for, to find out why a test hangs
+ * @return {object}  `pending`, the number of pending operations, and
+ *                   `waiters`, their `debugInfo` by waiter name
+ */
+export function getPendingWaiterState() {
+  let state = { pending: 0, waiters: {} };
+
+  registeredWaiters.forEach((waiter) => {
+    let info = waiter.debugInfo();
+
+    if (info.length) {
+      state.pending += info.length;
+      state.waiters[waiter.name] = (state.waiters[waiter.name] || []).concat(info);
+    }
+  });
+
+  return state;
+}
@@ -0,0 +1,140 @@
+import { assign } from '@ember/polyfills';
+
+/*
+ * 3D Secure challenges, shown in an iframe on top of the page.
+ *
+ * Once the customer is done, their bank redirects the iframe to the
+ * `return_url` given to `threeDSecure.create`. That page belongs to the app,
+ * and reports the outcome to the page that opened the challenge:
+ *
+ * ```js
+ * import { reportThreeDSecureResult } from 'ember-stripe-service/utils/three-d-secure';
+ *
+ * reportThreeDSecureResult(id, 'succeeded');
+ * ```
+ *
+ * Only messages from the app's own origin are listened to.
+ */
+
+export const RESULT_MESSAGE = 'ember-stripe-service:three-d-secure';
+
+export const CHALLENGE_SELECTOR = '.stripe-three-d-secure';
+
+/**
+ * Labels of the challenge dialog, override them through the `labels` option
+ */
+export const DEFAULT_CHALLENGE_LABELS = {
+  title: 'Verify your card',
+  close: 'Cancel'
+};
+
+/**
+ * @param  {object} threeDSecure  a 3D Secure object or source
+ * @return {string}               where the customer verifies their card, if
+ *                                they have to
+ */
+export function redirectUrlOf(threeDSecure) {
+  let pending = threeDSecure.status === 'redirect_pending' || threeDSecure.status === 'pending';
+  let url = (threeDSecure.redirect && threeDSecure.redirect.url) || threeDSecure.redirect_url;
+
+  return pending && url ? url : null;
+}
+
+/**
+ * @param  {MessageEvent} event
+ * @param  {string}       id     the 3D Secure object's id
+ * @return {boolean}             whether the event reports the outcome of that
+ *                               challenge
+ */
+export function isResultMessage(event, id) {
+  let data = event.data;
+
+  return event.origin === window.location.origin &&
+    !!data && data.type === RESULT_MESSAGE && data.id === id && typeof data.status === 'string';
+}
+
+/**
+ * Called by the `return_url` page to report the outcome of the challenge
+ * @param {string} id      the 3D Secure object's id
+ * @param {string} status  `succeeded` or `failed`
+ * @param {Window} target  the page that opened the challenge, the parent by default
+ */
+export function reportThreeDSecureResult(id, status, target = window.parent) {
+  target.postMessage({ type: RESULT_MESSAGE, id, status }, window.location.origin);
+}
+
+/**
+ * Shows `url` in an iframe, in a dialog on top of the page
+ * @param  {string} url
+ * @param  {object} options  `container` (`document.body`), `labels` and
+ *                           `onClose`, called when the customer closes the
+ *                           dialog
+ * @return {object}          the dialog `element`, its `iframe` and `close()`
+ *                           removing it
+ */
+export default function openChallenge(url, { container, labels, onClose } = {}) {
+  let text = assign({}, DEFAULT_CHALLENGE_LABELS, labels);
+  let previousFocus = document.activeElement;
+
+  let element = document.createElement('div');
+  element.className = CHALLENGE_SELECTOR.slice(1);
+  element.setAttribute('role', 'dialog');
+  element.setAttribute('aria-modal', 'true');
+  element.setAttribute('aria-label', text.title);
+  assign(element.style, {
+    position: 'fixed',
+    top: '0',
+    right: '0',
+    bottom: '0',
+    left: '0',
+    zIndex: '10000',
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    justifyContent: 'center',
+    background: 'rgba(0, 0, 0, 0.5)'
+  });
+
+  let iframe = document.createElement('iframe');
+  iframe.className = 'stripe-three-d-secure__frame';
+  iframe.title = text.title;
+  iframe.src = url;
+  assign(iframe.style, {
+    width: '100%',
+    maxWidth: '500px',
+    height: '600px',
+    maxHeight: '90%',
+    border: '0',
+    background: '#fff'
+  });
+
+  let button = document.createElement('button');
+  button.className = 'stripe-three-d-secure__close';
+  button.type = 'button';
+  button.textContent = text.close;
+  button.addEventListener('click', () => {
+    if (onClose) {
+      onClose();
+    }
+  });
+
+  element.appendChild(iframe);
+  element.appendChild(button);
+  (container || document.body).appendChild(element);
+  button.focus();
+
+  return {
+    element,
+    iframe,
+
+    close() {
+      if (element.parentNode) {
+        element.parentNode.removeChild(element);
+
+        if (previousFocus && previousFocus.focus) {
+          previousFocus.focus();
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1 @@
+export { default } from 'ember-stripe-service/components/stripe-card-form';
@@ -0,0 +1 @@
+export { default } from 'ember-stripe-service/helpers/stripe-card-valid';
@@ -0,0 +1 @@
+export { default, stripeFormatCard } from 'ember-stripe-service/helpers/stripe-format-card';
@@ -0,0 +1 @@
+export { default, stripeMaskCard } from 'ember-stripe-service/helpers/stripe-mask-card';
@@ -1,5 +1,6 @@
 import EmberError from '@ember/error';
-import StripeMock from 'ember-stripe-service/utils/stripe-mock';
+import StripeMock, { StripeV3Mock } from 'ember-stripe-service/utils/stripe-mock';
+import createLogger, { configuredLevel } from 'ember-stripe-service/utils/logger';
 import config from '../config/environment';
 
 export function initialize() {
@@ -11,17 +12,24 @@ export function initialize() {
   application.register('config:stripe', stripeConfig, { instantiate: false });
   application.inject('service:stripe', 'config', 'config:stripe');
 
-  if (stripeConfig.debug) {
-    /* eslint-disable no-console */
-    console.log('StripeService: initialize');
-  }
+  // a sink in `app/loggers/stripe.js` gets the messages logged before the service exists
+  createLogger({
+    level: configuredLevel(stripeConfig),
+    sink: application.resolveRegistration('logger:stripe')
+  }).debug('initialize');
 
-  if (!stripeConfig.publishableKey) {
-    throw new EmberError("StripeService: Missing Stripe key, please set `ENV.stripe.publishableKey` in config.environment.js");
+  // with `runtimeKey` the key is handed over later through `stripe.configure()`
+  if (!stripeConfig.publishableKey && !stripeConfig.runtimeKey) {
+    throw new EmberError("StripeService: Missing Stripe key, please set `ENV.stripe.publishableKey` in config.environment.js, or `ENV.stripe.runtimeKey` to provide it at runtime");
   }
 
-  if (typeof FastBoot !== 'undefined' || stripeConfig.mock) {
-    window.Stripe = StripeMock;
+  // in FastBoot the service rejects token creation, Stripe.js is loaded in the browser
+  if (typeof FastBoot === 'undefined' && stripeConfig.mock) {
+    window.Stripe = Number(stripeConfig.version) === 3 ? StripeV3Mock : StripeMock;
+
+    if (typeof stripeConfig.mock === 'object') {
+      StripeMock.setMockOptions(stripeConfig.mock);
+    }
   }
 }
 
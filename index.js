@@ -1,6 +1,13 @@
 /* eslint-env node */
 'use strict';
 
+const fakeStripe = require('./lib/fake-stripe');
+const csp = require('./lib/csp');
+const content = require('./lib/content-for');
+
+// projects whose config gets Stripe's CSP sources
+const wrappedProjects = new WeakSet();
+
 module.exports = {
   name: require('./package').name,
   contentFor: function(type, config) {
@@ -9,9 +16,87 @@ module.exports = {
     var lazyLoad = stripeConfig.lazyLoad;
     var mock = stripeConfig.mock;
 
-    if (type === 'body' && !lazyLoad && !mock) {
-      return '<script type="text/javascript" src="https://js.stripe.com/v2/"></script>';
+    if (mock) {
+      return;
+    }
+
+    let markup = [];
+
+    // hints help lazy loading too, the connection is ready once Stripe.js is needed
+    if (type === 'head' && stripeConfig.preconnect) {
+      markup.push(content.resourceHints(stripeConfig));
     }
+
+    if (type === content.placement(stripeConfig) && !lazyLoad) {
+      markup.push(content.scriptTag(stripeConfig));
+    }
+
+    return markup.join('\n');
+  },
+
+  init: function() {
+    this._super.init && this._super.init.apply(this, arguments);
+
+    this._addStripeSourcesToConfig(this.project);
+  },
+
+  included: function(app) {
+    this._super.included.apply(this, arguments);
+
+    // card brands and test numbers, shared with the fake Stripe server
+    this.import('vendor/ember-stripe-service/stripe-data.js', {
+      using: [{ transformation: 'amd', as: 'ember-stripe-service/-private/stripe-data' }]
+    });
+
+    let config = this.project.config(app.env);
+    let stripeConfig = config.stripe || {};
+
+    if (config.contentSecurityPolicy) {
+      csp.blockedSources(config.contentSecurityPolicy, csp.stripeSources(stripeConfig)).forEach((blocked) => {
+        this.ui.writeWarnLine(`ember-stripe-service: the Content Security Policy blocks Stripe.js, allow ${blocked}`);
+      });
+    }
+  },
+
+  serverMiddleware: function({ app, options }) {
+    this._addFakeStripe(app, options.environment);
+  },
+
+  testemMiddleware: function(app) {
+    this._addFakeStripe(app, 'test');
+  },
+
+  _addFakeStripe: function(app, environment) {
+    let stripeConfig = this.project.config(environment).stripe || {};
+
+    if (stripeConfig.fakeServer) {
+      app.use(fakeStripe.middleware());
+    }
+  },
+
+  // Adds the sources Stripe.js needs to ember-cli-content-security-policy's
+  // policy. The app's config is merged over what an addon's `config` hook
+  // returns, so directives the app sets as strings would drop the sources:
+  // only the policy of the config the project hands out is replaced instead.
+  _addStripeSourcesToConfig: function(project) {
+    if (wrappedProjects.has(project)) {
+      return;
+    }
+
+    let config = project.config;
+    wrappedProjects.add(project);
+
+    project.config = function() {
+      let result = config.apply(this, arguments);
+      let stripeConfig = result.stripe || {};
+
+      if (result.contentSecurityPolicy && stripeConfig.csp !== false) {
+        let policy = Object.assign({}, result.contentSecurityPolicy);
+        result.contentSecurityPolicy = csp.addStripeSources(policy, csp.stripeSources(stripeConfig));
+      }
+
+      return result;
+    };
   },
 
   isDevelopingAddon: function() {
@@ -0,0 +1,99 @@
+/* eslint-env node */
+'use strict';
+
+const url = require('url');
+const fakeStripe = require('./fake-stripe');
+
+/*
+ * Markup injected in index.html: the Stripe.js script tag and resource hints.
+ */
+
+const SCRIPT_URLS = {
+  2: 'https://js.stripe.com/v2/',
+  3: 'https://js.stripe.com/v3/'
+};
+
+const API_ORIGIN = 'https://api.stripe.com';
+
+function versionOf(stripeConfig) {
+  return Number(stripeConfig.version) === 3 ? 3 : 2;
+}
+
+function scriptUrl(stripeConfig) {
+  let version = versionOf(stripeConfig);
+
+  return stripeConfig.scriptUrl ||
+    (stripeConfig.fakeServer && version === 2 ? fakeStripe.SCRIPT_PATH : SCRIPT_URLS[version]);
+}
+
+function originOf(href) {
+  let parsed = url.parse(href);
+  return parsed.host ? `${parsed.protocol || 'https:'}//${parsed.host}` : null;
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+/**
+ * @param  {object} stripeConfig  `ENV.stripe`
+ * @return {string}               `head` or `body`, where the script tag goes
+ */
+function placement(stripeConfig) {
+  return stripeConfig.placement === 'head' ? 'head' : 'body';
+}
+
+/**
+ * @param  {object} stripeConfig  `ENV.stripe`
+ * @return {string}               the Stripe.js script tag, with `async`,
+ *                                `defer` and `nonce` as configured
+ */
+function scriptTag(stripeConfig) {
+  let attributes = ` src="${escapeAttribute(scriptUrl(stripeConfig))}"`;
+
+  if (stripeConfig.async) {
+    attributes += ' async';
+  }
+
+  if (stripeConfig.defer) {
+    attributes += ' defer';
+  }
+
+  if (stripeConfig.nonce) {
+    attributes += ` nonce="${escapeAttribute(stripeConfig.nonce)}"`;
+  }
+
+  return `<script type="text/javascript"${attributes}></script>`;
+}
+
+/**
+ * Preconnect and dns-prefetch hints for the Stripe.js and API origins, the
+ * API is called with CORS so its hint is `crossorigin`
+ * @param  {object} stripeConfig  `ENV.stripe`
+ * @return {string}
+ */
+function resourceHints(stripeConfig) {
+  let hints = [];
+  let scriptOrigin = originOf(scriptUrl(stripeConfig));
+
+  if (scriptOrigin) {
+    hints.push({ origin: scriptOrigin, crossorigin: false });
+  }
+
+  if (!stripeConfig.fakeServer || stripeConfig.scriptUrl) {
+    hints.push({ origin: API_ORIGIN, crossorigin: true });
+  }
+
+  return hints.map(({ origin, crossorigin }) => {
+    return `<link rel="preconnect" href="${origin}"${crossorigin ? ' crossorigin' : ''}>` +
+      `<link rel="dns-prefetch" href="${origin}">`;
+  }).join('\n');
+}
+
+module.exports = {
+  SCRIPT_URLS,
+  placement,
+  scriptUrl,
+  scriptTag,
+  resourceHints
+};
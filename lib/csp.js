@@ -0,0 +1,147 @@
+/* eslint-env node */
+'use strict';
+
+const url = require('url');
+
+/*
+ * Content Security Policy sources Stripe.js needs, added to the app's
+ * `ENV.contentSecurityPolicy` (as used by ember-cli-content-security-policy).
+ */
+
+const STRIPE_SOURCES = {
+  2: {
+    'script-src': ['https://js.stripe.com'],
+    'connect-src': ['https://api.stripe.com'],
+    // 3D Secure challenges are shown from hooks.stripe.com
+    'frame-src': ['https://js.stripe.com', 'https://hooks.stripe.com']
+  },
+  3: {
+    'script-src': ['https://js.stripe.com'],
+    'connect-src': ['https://api.stripe.com'],
+    'frame-src': ['https://js.stripe.com', 'https://hooks.stripe.com']
+  }
+};
+
+function originOf(scriptUrl) {
+  let parsed = url.parse(scriptUrl);
+  return parsed.host ? `${parsed.protocol || 'https:'}//${parsed.host}` : '\'self\'';
+}
+
+/**
+ * @param  {object} stripeConfig  `ENV.stripe`
+ * @return {object}               sources needed by directive, empty when mocking
+ */
+function stripeSources(stripeConfig) {
+  if (stripeConfig.mock) {
+    return {};
+  }
+
+  let version = Number(stripeConfig.version) === 3 ? 3 : 2;
+
+  if (stripeConfig.fakeServer && version === 2 && !stripeConfig.scriptUrl) {
+    return {
+      'script-src': ['\'self\''],
+      'connect-src': ['\'self\'']
+    };
+  }
+
+  let sources = {};
+  Object.keys(STRIPE_SOURCES[version]).forEach((directive) => {
+    sources[directive] = STRIPE_SOURCES[version][directive].slice();
+  });
+
+  if (stripeConfig.scriptUrl) {
+    sources['script-src'] = [originOf(stripeConfig.scriptUrl)];
+  }
+
+  return sources;
+}
+
+function toArray(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  return typeof value === 'string' ? value.split(/\s+/).filter(Boolean) : [];
+}
+
+// directives fall back to default-src when they are not set
+function effectiveSources(policy, directive) {
+  return toArray(policy[directive] === undefined ? policy['default-src'] : policy[directive]);
+}
+
+function allows(sources, source) {
+  return sources.some((allowed) => allowed === source || allowed === '*' ||
+    (allowed === 'https:' && source.indexOf('https://') === 0));
+}
+
+/**
+ * Adds Stripe's sources to the policy, keeping strings as strings and arrays
+ * as arrays. Directives the app set to 'none' are left alone so
+ * `blockedSources` reports them.
+ * @param  {object} policy   `ENV.contentSecurityPolicy`, changed in place
+ * @param  {object} sources  see `stripeSources`
+ * @return {object}          the policy
+ */
+function addStripeSources(policy, sources) {
+  Object.keys(sources).forEach((directive) => {
+    let current = effectiveSources(policy, directive);
+
+    // an unset directive without default-src allows everything already
+    if (policy[directive] === undefined && policy['default-src'] === undefined) {
+      return;
+    }
+
+    // a directive the app set to 'none' is deliberate
+    if (policy[directive] !== undefined && current.indexOf('\'none\'') !== -1) {
+      return;
+    }
+
+    let missing = sources[directive].filter((source) => !allows(current, source));
+
+    if (!missing.length) {
+      return;
+    }
+
+    // the directive takes over from default-src, keep what default-src allowed
+    let value = current.filter((source) => source !== '\'none\'').concat(missing);
+
+    policy[directive] = typeof policy[directive] === 'string' || (policy[directive] === undefined && typeof policy['default-src'] === 'string') ?
+      value.join(' ') :
+      value;
+  });
+
+  return policy;
+}
+
+/**
+ * @param  {object} policy   `ENV.contentSecurityPolicy`
+ * @param  {object} sources  see `stripeSources`
+ * @return {array}           `directive source` for every source the policy blocks
+ */
+function blockedSources(policy, sources) {
+  let blocked = [];
+
+  Object.keys(sources).forEach((directive) => {
+    let current = effectiveSources(policy, directive);
+
+    // an unset directive without default-src allows everything
+    if (policy[directive] === undefined && policy['default-src'] === undefined) {
+      return;
+    }
+
+    sources[directive].forEach((source) => {
+      if (!allows(current, source)) {
+        blocked.push(`${directive} ${source}`);
+      }
+    });
+  });
+
+  return blocked;
+}
+
+module.exports = {
+  stripeSources,
+  addStripeSources,
+  blockedSources
+};
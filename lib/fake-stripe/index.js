@@ -0,0 +1,94 @@
+/* eslint-env node */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const querystring = require('querystring');
+const tokens = require('./tokens');
+
+/*
+ * Middleware serving a fake Stripe.js and tokens API, mounted on the
+ * development server and testem when `ENV.stripe.fakeServer` is on:
+ *
+ * - `GET  /_stripe/v2/` serves the fake Stripe.js v2
+ * - `POST /_stripe/v1/tokens` creates tokens
+ */
+
+const PREFIX = '/_stripe';
+const SCRIPT_PATH = `${PREFIX}/v2/`;
+const TOKENS_PATH = `${PREFIX}/v1/tokens`;
+
+const SCRIPT = fs.readFileSync(path.join(__dirname, 'stripe-v2.js'), 'utf8');
+
+// turns `card[number]=4242...` into `{ card: { number: '4242...' } }`
+function parseParams(body) {
+  let flat = querystring.parse(body);
+  let params = {};
+
+  Object.keys(flat).forEach((key) => {
+    let match = key.match(/^([^[]+)\[([^\]]+)\]$/);
+
+    if (match) {
+      params[match[1]] = params[match[1]] || {};
+      params[match[1]][match[2]] = flat[key];
+    } else {
+      params[key] = flat[key];
+    }
+  });
+
+  return params;
+}
+
+function send(res, status, contentType, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(body);
+}
+
+function serveScript(req, res) {
+  send(res, 200, 'application/javascript; charset=utf-8', SCRIPT.replace('__API_URL__', PREFIX));
+}
+
+function serveTokens(req, res) {
+  if (req.method !== 'POST') {
+    send(res, 405, 'application/json', JSON.stringify({
+      error: { type: 'invalid_request_error', message: `Unrecognized request URL (${req.method}: /v1/tokens).` }
+    }));
+    return;
+  }
+
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    let result = tokens.createToken(parseParams(body));
+    send(res, result.status, 'application/json', JSON.stringify(result.body));
+  });
+}
+
+/**
+ * @return {function}  connect-style middleware
+ */
+function middleware() {
+  return function fakeStripe(req, res, next) {
+    let url = req.url.split('?')[0];
+
+    if (url === SCRIPT_PATH || url === SCRIPT_PATH.slice(0, -1)) {
+      serveScript(req, res);
+    } else if (url === TOKENS_PATH) {
+      serveTokens(req, res);
+    } else {
+      next();
+    }
+  };
+}
+
+module.exports = {
+  middleware,
+  parseParams,
+  SCRIPT_PATH,
+  TOKENS_PATH
+};
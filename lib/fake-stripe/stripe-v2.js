@@ -0,0 +1,124 @@
+/*
+ * Fake Stripe.js v2 served by the addon's middleware when `fakeServer` is on.
+ *
+ * It exposes the same `Stripe` global as https://js.stripe.com/v2/ but sends
+ * token requests to the local tokens API, so apps go through the real
+ * script-loading and network path without reaching stripe.com.
+ *
+ * It is served as is, keep it ES5.
+ */
+(function() {
+  var API_URL = '__API_URL__';
+  var publishableKey = null;
+
+  function underscore(key) {
+    return key.replace(/([a-z\d])([A-Z])/g, '$1_$2').toLowerCase();
+  }
+
+  function encode(resource, data) {
+    var params = [];
+
+    for (var key in data) {
+      if (Object.prototype.hasOwnProperty.call(data, key) && data[key] !== undefined && data[key] !== null) {
+        params.push(encodeURIComponent(resource + '[' + underscore(key) + ']') + '=' + encodeURIComponent(data[key]));
+      }
+    }
+
+    return params.join('&');
+  }
+
+  function request(resource, data, params, callback) {
+    if (typeof params === 'function') {
+      callback = params;
+      params = {};
+    }
+
+    var xhr = new XMLHttpRequest();
+    var body = encode(resource, data || {});
+    var key = (params && params.key) || publishableKey;
+
+    if (key) {
+      body += '&key=' + encodeURIComponent(key);
+    }
+
+    xhr.open('POST', API_URL + '/v1/tokens', true);
+    xhr.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded');
+    xhr.onreadystatechange = function() {
+      if (xhr.readyState !== 4) {
+        return;
+      }
+
+      var response;
+      try {
+        response = JSON.parse(xhr.responseText);
+      } catch (e) {
+        response = {
+          error: {
+            type: 'api_connection_error',
+            message: 'There was an error connecting to the fake Stripe API.'
+          }
+        };
+      }
+
+      callback(xhr.status, response);
+    };
+    xhr.send(body);
+  }
+
+  // sources and 3D Secure are not emulated, they fail like an invalid request
+  function unsupported(resource) {
+    return function() {
+      var callback = arguments[arguments.length - 1];
+
+      setTimeout(function() {
+        callback(400, {
+          error: {
+            type: 'invalid_request_error',
+            message: 'The fake Stripe server does not support ' + resource + ', use the mock or a test key instead.'
+          }
+        });
+      });
+    };
+  }
+
+  window.Stripe = {
+    fake: true,
+
+    setPublishableKey: function(key) {
+      publishableKey = key;
+    },
+
+    getPublishableKey: function() {
+      return publishableKey;
+    },
+
+    card: {
+      createToken: function(card, params, callback) {
+        request('card', card, params, callback);
+      }
+    },
+
+    bankAccount: {
+      createToken: function(bankAccount, params, callback) {
+        request('bank_account', bankAccount, params, callback);
+      }
+    },
+
+    piiData: {
+      createToken: function(piiData, params, callback) {
+        request('pii', piiData, params, callback);
+      }
+    },
+
+    source: {
+      create: unsupported('sources'),
+      get: unsupported('sources'),
+      poll: unsupported('sources'),
+      cancelPoll: function() {}
+    },
+
+    threeDSecure: {
+      create: unsupported('3D Secure')
+    }
+  };
+})();
@@ -0,0 +1,258 @@
+/* eslint-env node */
+'use strict';
+
+const crypto = require('crypto');
+const stripeData = require('../../vendor/ember-stripe-service/stripe-data');
+
+/*
+ * Emulates Stripe's `POST /v1/tokens` for the fake Stripe.js.
+ *
+ * It validates like Stripe does (missing params, card numbers, expiration
+ * dates, CVCs and routing numbers) and follows the same test numbers and card
+ * brands as the in-browser mock, answering with Stripe's status codes and
+ * error objects.
+ */
+
+const CARD_SCENARIOS = stripeData.CARD_SCENARIOS;
+const BANK_ACCOUNT_SCENARIOS = stripeData.BANK_ACCOUNT_SCENARIOS;
+const CARD_BRANDS = stripeData.CARD_BRANDS;
+
+const ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+function randomId(prefix) {
+  let id = '';
+  for (let i = 0; i < 24; i++) {
+    id += ID_CHARS.charAt(Math.floor(Math.random() * ID_CHARS.length));
+  }
+  return `${prefix}_${id}`;
+}
+
+function fingerprint(value) {
+  return crypto.createHash('sha1').update(value).digest('base64').replace(/[^A-Za-z0-9]/g, '').slice(0, 16);
+}
+
+function digits(value) {
+  return String(value === undefined || value === null ? '' : value).replace(/\D/g, '');
+}
+
+function luhnCheck(number) {
+  let sum = 0;
+  for (let i = 0; i < number.length; i++) {
+    let digit = parseInt(number.charAt(number.length - 1 - i), 10);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return number.length > 0 && sum % 10 === 0;
+}
+
+function abaChecksum(routingNumber) {
+  if (!/^\d{9}$/.test(routingNumber)) {
+    return false;
+  }
+
+  let weights = [3, 7, 1];
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += parseInt(routingNumber.charAt(i), 10) * weights[i % 3];
+  }
+  return sum !== 0 && sum % 10 === 0;
+}
+
+function brandOf(number) {
+  return CARD_BRANDS.filter((brand) => brand.pattern.test(number))[0];
+}
+
+function timestamp() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function token(prefix, type, properties) {
+  return {
+    status: 200,
+    body: Object.assign({
+      id: randomId(prefix),
+      object: 'token',
+      type,
+      client_ip: '127.0.0.1',
+      created: timestamp(),
+      livemode: false,
+      used: false
+    }, properties)
+  };
+}
+
+function failure(status, type, details) {
+  return { status, body: { error: Object.assign({ type }, details) } };
+}
+
+function missing(resource, param) {
+  return failure(400, 'invalid_request_error', {
+    param: `${resource}[${param}]`,
+    message: `Missing required param: ${resource}[${param}].`
+  });
+}
+
+function cardError(code, param, message) {
+  return failure(402, 'card_error', { code, param, message });
+}
+
+function cardToken(card) {
+  let number = digits(card.number);
+  let month = parseInt(card.exp_month, 10);
+  let year = parseInt(card.exp_year, 10);
+  let cvc = card.cvc === undefined ? '' : String(card.cvc);
+  let now = new Date();
+
+  if (!card.number) {
+    return missing('card', 'number');
+  }
+
+  if (card.exp_month === undefined) {
+    return missing('card', 'exp_month');
+  }
+
+  if (card.exp_year === undefined) {
+    return missing('card', 'exp_year');
+  }
+
+  if (year < 100) {
+    year += 2000;
+  }
+
+  if (CARD_SCENARIOS[number]) {
+    return failure(402, 'card_error', CARD_SCENARIOS[number]);
+  }
+
+  let brand = brandOf(number);
+
+  if (number.length < 12 || number.length > 19 || (!(brand && brand.luhn === false) && !luhnCheck(number))) {
+    return cardError('invalid_number', 'number', 'Your card number is invalid.');
+  }
+
+  if (!(month >= 1 && month <= 12)) {
+    return cardError('invalid_expiry_month', 'exp_month', 'Your card\'s expiration month is invalid.');
+  }
+
+  if (!(year >= now.getFullYear() && year <= now.getFullYear() + 50) ||
+      (year === now.getFullYear() && month < now.getMonth() + 1)) {
+    return cardError('invalid_expiry_year', 'exp_year', 'Your card\'s expiration year is invalid.');
+  }
+
+  if (cvc && !/^\d{3,4}$/.test(cvc)) {
+    return cardError('invalid_cvc', 'cvc', 'Your card\'s security code is invalid.');
+  }
+
+  return token('tok', 'card', {
+    card: {
+      id: randomId('card'),
+      object: 'card',
+      brand: brand ? brand.type : 'Unknown',
+      country: 'US',
+      exp_month: month,
+      exp_year: year,
+      fingerprint: fingerprint(number),
+      funding: 'credit',
+      last4: number.slice(-4),
+      name: card.name || null,
+      address_zip: card.address_zip || null,
+      address_zip_check: card.address_zip ? 'pass' : null,
+      cvc_check: cvc ? 'pass' : null
+    }
+  });
+}
+
+function bankAccountToken(bankAccount) {
+  let country = (bankAccount.country || '').toUpperCase();
+  let accountNumber = digits(bankAccount.account_number);
+  let routingNumber = bankAccount.routing_number;
+
+  if (!country) {
+    return missing('bank_account', 'country');
+  }
+
+  if (!bankAccount.account_number) {
+    return missing('bank_account', 'account_number');
+  }
+
+  if (BANK_ACCOUNT_SCENARIOS[accountNumber]) {
+    return failure(400, 'invalid_request_error', BANK_ACCOUNT_SCENARIOS[accountNumber]);
+  }
+
+  if (country === 'US' && !abaChecksum(digits(routingNumber))) {
+    return failure(400, 'invalid_request_error', {
+      code: 'routing_number_invalid',
+      param: 'bank_account[routing_number]',
+      message: 'Routing number is invalid.'
+    });
+  }
+
+  return token('btok', 'bank_account', {
+    bank_account: {
+      id: randomId('ba'),
+      object: 'bank_account',
+      account_holder_name: bankAccount.account_holder_name || null,
+      account_holder_type: bankAccount.account_holder_type || null,
+      bank_name: 'STRIPE TEST BANK',
+      country,
+      currency: bankAccount.currency || 'usd',
+      fingerprint: fingerprint(`${routingNumber}${accountNumber}`),
+      last4: accountNumber.slice(-4),
+      routing_number: routingNumber || null,
+      status: 'new'
+    }
+  });
+}
+
+function piiDataToken(pii) {
+  if (!pii.personal_id_number) {
+    return missing('pii', 'personal_id_number');
+  }
+
+  return token('pii', 'pii', {});
+}
+
+/**
+ * @param  {object} params  parsed form parameters: `key` and one of `card`,
+ *                          `bank_account` or `pii`
+ * @return {object}         `status` and `body`
+ */
+function createToken(params) {
+  let key = params.key;
+
+  if (!key) {
+    return failure(401, 'invalid_request_error', {
+      message: 'You did not provide an API key. You need to provide your API key in the Authorization header, using Bearer auth.'
+    });
+  }
+
+  if (!/^pk_/.test(key)) {
+    return failure(401, 'invalid_request_error', { message: `Invalid API Key provided: ${key}` });
+  }
+
+  if (params.card) {
+    return cardToken(params.card);
+  }
+
+  if (params.bank_account) {
+    return bankAccountToken(params.bank_account);
+  }
+
+  if (params.pii) {
+    return piiDataToken(params.pii);
+  }
+
+  return failure(400, 'invalid_request_error', {
+    message: 'You must supply either a card, customer, PII data, bank account, or account legal entity to create a token.'
+  });
+}
+
+module.exports = {
+  createToken,
+  CARD_SCENARIOS,
+  BANK_ACCOUNT_SCENARIOS
+};
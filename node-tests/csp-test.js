@@ -0,0 +1,109 @@
+/* eslint-env node */
+'use strict';
+
+const QUnit = require('qunit');
+const csp = require('../lib/csp');
+const addon = require('../index');
+
+const { test } = QUnit;
+
+// what ember-cli's Project#config hands out: a fresh copy of the app's config
+function project(appConfig) {
+  return {
+    config() {
+      return JSON.parse(JSON.stringify(appConfig));
+    }
+  };
+}
+
+QUnit.module('csp', function() {
+  test('addStripeSources keeps string directives as strings', function(assert) {
+    let policy = csp.addStripeSources({
+      'default-src': '\'none\'',
+      'script-src': '\'self\'',
+      'connect-src': '\'self\''
+    }, csp.stripeSources({}));
+
+    assert.equal(policy['script-src'], '\'self\' https://js.stripe.com');
+    assert.equal(policy['connect-src'], '\'self\' https://api.stripe.com');
+    assert.equal(policy['frame-src'], 'https://js.stripe.com https://hooks.stripe.com', 'takes over from default-src');
+  });
+
+  test('addStripeSources keeps array directives as arrays', function(assert) {
+    let policy = csp.addStripeSources({
+      'script-src': ['\'self\''],
+      'connect-src': ['\'self\''],
+      'frame-src': ['\'self\'']
+    }, csp.stripeSources({}));
+
+    assert.deepEqual(policy['script-src'], ['\'self\'', 'https://js.stripe.com']);
+    assert.deepEqual(policy['connect-src'], ['\'self\'', 'https://api.stripe.com']);
+  });
+
+  test('addStripeSources leaves directives set to none alone', function(assert) {
+    let policy = { 'default-src': '\'self\'', 'frame-src': '\'none\'' };
+    csp.addStripeSources(policy, csp.stripeSources({}));
+
+    assert.equal(policy['frame-src'], '\'none\'');
+    assert.deepEqual(csp.blockedSources(policy, csp.stripeSources({})), [
+      'frame-src https://js.stripe.com',
+      'frame-src https://hooks.stripe.com'
+    ]);
+  });
+
+  test('stripeSources follows the version, mock and fakeServer', function(assert) {
+    assert.deepEqual(csp.stripeSources({ mock: true }), {});
+    assert.deepEqual(csp.stripeSources({ fakeServer: true })['script-src'], ['\'self\'']);
+    assert.deepEqual(csp.stripeSources({})['frame-src'], ['https://js.stripe.com', 'https://hooks.stripe.com'], '3D Secure challenges are framed under v2 too');
+    assert.deepEqual(csp.stripeSources({ version: 3 })['frame-src'], ['https://js.stripe.com', 'https://hooks.stripe.com']);
+    assert.deepEqual(csp.stripeSources({ scriptUrl: 'https://cdn.example.com/stripe.js' })['script-src'], ['https://cdn.example.com']);
+  });
+
+  test('the project config carries the sources when the app sets strings', function(assert) {
+    let fake = project({
+      stripe: { publishableKey: 'pk_thisIsATestKey' },
+      contentSecurityPolicy: {
+        'default-src': '\'none\'',
+        'script-src': '\'self\'',
+        'connect-src': '\'self\''
+      }
+    });
+
+    addon._addStripeSourcesToConfig(fake);
+    addon._addStripeSourcesToConfig(fake);
+
+    let policy = fake.config('development').contentSecurityPolicy;
+
+    assert.equal(policy['script-src'], '\'self\' https://js.stripe.com');
+    assert.equal(policy['connect-src'], '\'self\' https://api.stripe.com');
+    assert.deepEqual(csp.blockedSources(policy, csp.stripeSources({})), []);
+    assert.equal(fake.config('development').contentSecurityPolicy['script-src'], '\'self\' https://js.stripe.com', 'every config handed out has them');
+    assert.deepEqual(Object.keys(fake), ['config'], 'nothing else is set on the project');
+  });
+
+  test('only the policy of the project config is replaced', function(assert) {
+    let policy = { 'script-src': '\'self\'' };
+    let APP = { rootElement: '#app' };
+    let appConfig = { stripe: { publishableKey: 'pk_thisIsATestKey' }, APP, contentSecurityPolicy: policy };
+    let fake = { config: () => appConfig };
+
+    addon._addStripeSourcesToConfig(fake);
+
+    let config = fake.config('development');
+
+    assert.strictEqual(config.APP, APP, 'other keys are left as they are');
+    assert.equal(config.contentSecurityPolicy['script-src'], '\'self\' https://js.stripe.com');
+    assert.equal(policy['script-src'], '\'self\'', 'the app\'s policy object is not changed');
+  });
+
+  test('the project config is left alone with csp: false', function(assert) {
+    let fake = project({
+      stripe: { csp: false },
+      contentSecurityPolicy: { 'script-src': '\'self\'' }
+    });
+
+    addon._addStripeSourcesToConfig(fake);
+
+    assert.equal(fake.config('development').contentSecurityPolicy['script-src'], '\'self\'');
+  });
+});
@@ -0,0 +1,218 @@
+/* eslint-env node */
+'use strict';
+
+const QUnit = require('qunit');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const vm = require('vm');
+const addon = require('../index');
+const fakeStripe = require('../lib/fake-stripe');
+const tokens = require('../lib/fake-stripe/tokens');
+const stripeData = require('../vendor/ember-stripe-service/stripe-data');
+
+const { test } = QUnit;
+
+// appends the Luhn check digit
+function withCheckDigit(prefix) {
+  for (let digit = 0; digit < 10; digit++) {
+    let number = `${prefix}${digit}`;
+    let sum = 0;
+
+    for (let i = 0; i < number.length; i++) {
+      let value = parseInt(number.charAt(number.length - 1 - i), 10);
+      if (i % 2 === 1) {
+        value *= 2;
+        if (value > 9) {
+          value -= 9;
+        }
+      }
+      sum += value;
+    }
+
+    if (sum % 10 === 0) {
+      return number;
+    }
+  }
+}
+
+function card(number) {
+  return { key: 'pk_test', card: { number, exp_month: '10', exp_year: '2030', cvc: '123' } };
+}
+
+function listen() {
+  let middleware = fakeStripe.middleware();
+  let server = http.createServer((req, res) => {
+    middleware(req, res, () => {
+      res.statusCode = 404;
+      res.end();
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function get(server, path) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+  });
+}
+
+// just enough of XMLHttpRequest for the fake Stripe.js, sending to `server`
+function xhrFor(server) {
+  return function XMLHttpRequest() {
+    let xhr = this;
+    let options;
+
+    xhr.open = function(method, path) {
+      options = { host: '127.0.0.1', port: server.address().port, method, path, headers: {} };
+    };
+
+    xhr.setRequestHeader = function(name, value) {
+      options.headers[name] = value;
+    };
+
+    xhr.send = function(body) {
+      let req = http.request(options, (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          text += chunk;
+        });
+        res.on('end', () => {
+          xhr.readyState = 4;
+          xhr.status = res.statusCode;
+          xhr.responseText = text;
+          xhr.onreadystatechange();
+        });
+      });
+
+      req.end(body);
+    };
+  };
+}
+
+QUnit.module('fake-stripe', function() {
+  test('card brands match the ones the addon detects', function(assert) {
+    let brandOf = (prefix) => tokens.createToken(card(withCheckDigit(prefix))).body.card.brand;
+
+    assert.equal(brandOf('424242424242424'), 'Visa');
+    assert.equal(brandOf('622126000000000'), 'Discover', 'the 622126-622925 range');
+    assert.equal(brandOf('353000000000000'), 'JCB');
+    assert.equal(brandOf('350000000000000'), 'Unknown', 'not every 35 number is JCB');
+    assert.equal(brandOf('675900000000000'), 'Maestro');
+    assert.equal(tokens.createToken(card('8100000000000001')).body.card.brand, 'UnionPay', 'UnionPay skips the Luhn check');
+  });
+
+  test('it follows the test numbers of the mock', function(assert) {
+    Object.keys(stripeData.CARD_SCENARIOS).forEach((number) => {
+      let result = tokens.createToken(card(number));
+
+      assert.equal(result.status, 402);
+      assert.equal(result.body.error.code, stripeData.CARD_SCENARIOS[number].code, number);
+    });
+
+    let bankAccount = tokens.createToken({
+      key: 'pk_test',
+      bank_account: { country: 'US', routing_number: '110000000', account_number: '000111111116' }
+    });
+
+    assert.equal(bankAccount.status, 400);
+    assert.equal(bankAccount.body.error.code, 'no_account');
+  });
+
+  test('it validates like Stripe', function(assert) {
+    assert.equal(tokens.createToken({ card: {} }).status, 401, 'needs a publishable key');
+    assert.equal(tokens.createToken({ key: 'sk_test', card: {} }).status, 401, 'only takes publishable keys');
+    assert.equal(tokens.createToken({ key: 'pk_test', card: { exp_month: '10', exp_year: '2030' } }).body.error.param, 'card[number]');
+    assert.equal(tokens.createToken(card('4242424242424241')).body.error.code, 'incorrect_number');
+    assert.equal(tokens.createToken(card('4242424242424243')).body.error.code, 'invalid_number');
+    assert.equal(tokens.createToken({ key: 'pk_test', pii: {} }).body.error.param, 'pii[personal_id_number]');
+    assert.ok(/^pii_/.test(tokens.createToken({ key: 'pk_test', pii: { personal_id_number: '000000000' } }).body.id));
+  });
+
+  test('parseParams nests bracketed parameters', function(assert) {
+    assert.deepEqual(fakeStripe.parseParams('card%5Bnumber%5D=4242&card%5Bcvc%5D=123&key=pk_test'), {
+      card: { number: '4242', cvc: '123' },
+      key: 'pk_test'
+    });
+  });
+
+  test('the fake Stripe.js creates tokens through the middleware', function(assert) {
+    let server;
+
+    return listen().then((listening) => {
+      server = listening;
+      return get(server, fakeStripe.SCRIPT_PATH);
+    }).then((script) => {
+      assert.equal(script.status, 200);
+
+      let window = {};
+      vm.runInNewContext(script.body, { window, XMLHttpRequest: xhrFor(server) });
+      window.Stripe.setPublishableKey('pk_test');
+
+      let create = (namespace, data) => new Promise((resolve) => {
+        window.Stripe[namespace].createToken(data, (status, response) => resolve({ status, response }));
+      });
+
+      return Promise.all([
+        create('card', { number: '6011111111111117', expMonth: 10, expYear: 2030, cvc: '123' }),
+        create('card', { number: '4000000000000002', expMonth: 10, expYear: 2030, cvc: '123' }),
+        create('bankAccount', { country: 'US', routingNumber: '110000000', accountNumber: '000123456789' })
+      ]);
+    }).then(([discover, declined, bankAccount]) => {
+      assert.equal(discover.status, 200);
+      assert.ok(/^tok_/.test(discover.response.id));
+      assert.equal(discover.response.card.brand, 'Discover');
+      assert.equal(declined.status, 402);
+      assert.equal(declined.response.error.decline_code, 'generic_decline');
+      assert.ok(/^btok_/.test(bankAccount.response.id));
+
+      return get(server, fakeStripe.TOKENS_PATH);
+    }).then((wrongMethod) => {
+      assert.equal(wrongMethod.status, 405);
+      server.close();
+    }, (error) => {
+      server.close();
+      throw error;
+    });
+  });
+
+  test('the fake Stripe.js is injected and served with fakeServer', function(assert) {
+    let markup = addon.contentFor('body', { stripe: { fakeServer: true, publishableKey: 'pk_test' } });
+    assert.ok(markup.indexOf(`src="${fakeStripe.SCRIPT_PATH}"`) !== -1, markup);
+
+    let mounted = [];
+    let withConfig = (stripe) => Object.assign(Object.create(addon), {
+      project: { config: () => ({ stripe }) }
+    });
+
+    withConfig({ fakeServer: true }).testemMiddleware({ use: (middleware) => mounted.push(middleware) });
+    withConfig({}).testemMiddleware({ use: (middleware) => mounted.push(middleware) });
+
+    assert.equal(mounted.length, 1, 'only mounted with fakeServer');
+    assert.equal(mounted[0].name, 'fakeStripe');
+  });
+
+  test('sources and 3D Secure fail like invalid requests', function(assert) {
+    let window = {};
+    let timers = [];
+    vm.runInNewContext(fs.readFileSync(path.join(__dirname, '../lib/fake-stripe/stripe-v2.js'), 'utf8'), { window, setTimeout: (callback) => timers.push(callback) });
+
+    let answers = [];
+    window.Stripe.source.create({ type: 'card' }, (status, response) => answers.push([status, response.error.type]));
+    window.Stripe.threeDSecure.create({ amount: 1000 }, (status, response) => answers.push([status, response.error.type]));
+    timers.forEach((callback) => callback());
+
+    assert.deepEqual(answers, [[400, 'invalid_request_error'], [400, 'invalid_request_error']]);
+  });
+});
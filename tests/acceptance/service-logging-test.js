@@ -1,8 +1,8 @@
 /* global Stripe */
 import { module, test } from 'qunit';
 import { setupTest } from 'ember-qunit';
-import Ember from 'ember';
 import sinon from 'sinon';
+import createLogger from 'ember-stripe-service/utils/logger';
 
 module('Acceptance | Logging', function(hooks) {
   setupTest(hooks);
@@ -16,7 +16,8 @@ module('Acceptance | Logging', function(hooks) {
       address_zip: 12345
     };
 
-    this.info = sinon.stub(Ember.Logger, 'info');
+    /* eslint-disable no-console */
+    this.info = sinon.stub(console, 'log');
 
     this.createToken = sinon.stub(Stripe.card, 'createToken').callsFake(function(card, cb) {
       let response = {
@@ -50,4 +51,73 @@ module('Acceptance | Logging', function(hooks) {
       assert.ok(this.info.notCalled);
     });
   });
+
+  test('card numbers and CVCs are redacted from the logs', function(assert) {
+    this.config.debug = true;
+
+    return this.service.card.createToken(this.cc).then(() => {
+      let logged = JSON.stringify(this.info.args);
+
+      assert.ok(this.info.calledWith('StripeService: card.createToken:'));
+      assert.equal(logged.indexOf('4242424242424242'), -1, 'the card number is not logged');
+      assert.equal(logged.indexOf('"cvc":123'), -1, 'the CVC is not logged');
+      assert.notEqual(logged.indexOf('"cvc":"[redacted]"'), -1);
+    });
+  });
+
+  test('IBANs are redacted from the logs', function(assert) {
+    this.config.debug = true;
+
+    return this.service.source.create({ type: 'sepa_debit', sepa_debit: { iban: 'DE89370400440532013000' } }).then(() => {
+      let logged = JSON.stringify(this.info.args);
+
+      assert.ok(this.info.calledWith('StripeService: source.create:'));
+      assert.equal(logged.indexOf('DE89370400440532013000'), -1, 'the IBAN is not logged');
+    });
+  });
+
+  test('logs can be routed to another sink', function(assert) {
+    let messages = [];
+    let sink = {
+      error() {},
+      warn() {},
+      info() {},
+      debug(...args) {
+        messages.push(args);
+      }
+    };
+
+    this.service.set('logger', createLogger({ level: 'debug', sink }));
+
+    return this.service.card.createToken(this.cc).then(() => {
+      assert.ok(this.info.notCalled, 'nothing goes to the console');
+      assert.equal(messages[0][0], 'StripeService: card.createToken:');
+      assert.equal(messages[0][1].number, '[redacted]');
+    });
+  });
+
+  test('a sink registered as logger:stripe gets the messages logged while the service is created', function(assert) {
+    let messages = [];
+    let sink = {
+      error() {},
+      warn() {},
+      info() {},
+      debug(...args) {
+        messages.push(args);
+      }
+    };
+
+    this.owner.register('logger:stripe', sink, { instantiate: false });
+    window.FastBoot = true;
+
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: { debug: true, publishableKey: 'pk_thisIsATestKey' }
+    });
+
+    delete window.FastBoot;
+
+    assert.ok(service);
+    assert.deepEqual(messages, [['StripeService: running in FastBoot, Stripe.js is left for the browser']]);
+    assert.ok(this.info.notCalled, 'nothing goes to the console');
+  });
 });
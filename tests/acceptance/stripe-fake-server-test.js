@@ -0,0 +1,50 @@
+import { module, test } from 'qunit';
+import { setupTest } from 'ember-qunit';
+import { setupStripe } from 'ember-stripe-service/test-support';
+import { StripeCardError, StripeInvalidRequestError } from 'ember-stripe-service/utils/errors';
+
+// testem serves the fake Stripe.js and tokens API, `fakeServer` is on in the dummy app's test config
+module('Acceptance | Fake Stripe server', function(hooks) {
+  setupTest(hooks);
+  setupStripe(hooks);
+
+  hooks.beforeEach(function() {
+    this.stripe = this.owner.factoryFor('service:stripe').create({
+      config: {
+        fakeServer: true,
+        lazyLoad: true,
+        publishableKey: 'pk_thisIsATestKey'
+      }
+    });
+  });
+
+  test('it loads the fake Stripe.js and creates tokens through the tokens API', function(assert) {
+    assert.equal(this.stripe.get('scriptUrl'), '/_stripe/v2/');
+
+    return this.stripe.load().then(() => {
+      assert.ok(window.Stripe.fake, 'the fake Stripe.js is loaded');
+
+      return this.stripe.card.createToken({ number: '4242424242424242', exp_month: 10, exp_year: 2030, cvc: '123' });
+    }).then((token) => {
+      assert.ok(/^tok_/.test(token.id));
+      assert.equal(token.card.brand, 'Visa');
+
+      return this.stripe.card.createToken({ number: '4000000000000002', exp_month: 10, exp_year: 2030, cvc: '123' });
+    }).then(() => {
+      assert.ok(false, 'the card should be declined');
+    }, (error) => {
+      assert.ok(error instanceof StripeCardError);
+      assert.equal(error.status, 402);
+      assert.equal(error.declineCode, 'generic_decline');
+    });
+  });
+
+  test('sources fail with a Stripe error', function(assert) {
+    return this.stripe.source.create({ type: 'card', card: { number: '4242424242424242' } }).then(() => {
+      assert.ok(false, 'should not resolve');
+    }, (error) => {
+      assert.ok(error instanceof StripeInvalidRequestError);
+      assert.ok(/does not support sources/.test(error.message));
+    });
+  });
+});
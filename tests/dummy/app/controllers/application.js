@@ -1,15 +1,16 @@
-import { on } from '@ember/object/evented';
-import { inject as service } from '@ember/service';
 import Controller from '@ember/controller';
 
 export default Controller.extend({
+  token: null,
+  error: null,
 
-  stripe: service(),
-
-  doSomething: on('init', function() {
-    let stripe = this.get('stripe');
-
-    stripe.card.createToken();
-  })
+  actions: {
+    tokenCreated(token) {
+      this.setProperties({ token, error: null });
+    },
 
+    tokenFailed(error) {
+      this.setProperties({ token: null, error });
+    }
+  }
 });
@@ -30,6 +30,9 @@ module.exports = function(environment) {
   ENV.LOG_STRIPE_SERVICE = true;
 
   if (environment === 'development') {
+    // work offline against the fake Stripe.js unless a real key is given
+    ENV.stripe.fakeServer = !process.env.STRIPE_PUBLISHABLE_KEY;
+
     // ENV.APP.LOG_RESOLVER = true;
     // ENV.APP.LOG_ACTIVE_GENERATION = true;
     // ENV.APP.LOG_TRANSITIONS = true;
@@ -49,6 +52,9 @@ module.exports = function(environment) {
     ENV.APP.autoboot = false;
 
     ENV.stripe.mock = true;
+
+    // testem serves the fake Stripe.js for the acceptance test going through it
+    ENV.stripe.fakeServer = true;
   }
 
   if (environment === 'production') {
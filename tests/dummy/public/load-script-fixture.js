@@ -0,0 +1 @@
+window.loadScriptFixtureCount = (window.loadScriptFixtureCount || 0) + 1;
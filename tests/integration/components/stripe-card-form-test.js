@@ -0,0 +1,236 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from 'ember-qunit';
+import { render, fillIn, click, triggerEvent, settled } from '@ember/test-helpers';
+import hbs from 'htmlbars-inline-precompile';
+import { defer } from 'rsvp';
+import sinon from 'sinon';
+import { setupStripe } from 'ember-stripe-service/test-support';
+import { StripeCardError, StripeCancellationError } from 'ember-stripe-service/utils/errors';
+
+function fillCard(number = '4242424242424242') {
+  return fillIn('[name=cardnumber]', number)
+    .then(() => fillIn('[name=exp-date]', '1030'))
+    .then(() => fillIn('[name=cvc]', '123'))
+    .then(() => fillIn('[name=postal]', '12345'));
+}
+
+module('Integration | Component | stripe-card-form', function(hooks) {
+  setupRenderingTest(hooks);
+  let stripeMock = setupStripe(hooks);
+
+  test('it renders labelled fields with autocomplete attributes', async function(assert) {
+    await render(hbs`{{stripe-card-form}}`);
+
+    let inputs = this.element.querySelectorAll('input');
+    assert.equal(inputs.length, 4);
+
+    let autocomplete = [];
+    for (let i = 0; i < inputs.length; i++) {
+      let input = inputs[i];
+      let label = this.element.querySelector(`label[for="${input.id}"]`);
+
+      assert.ok(label, `${input.name} has a label`);
+      assert.equal(input.getAttribute('aria-invalid'), 'false');
+      assert.equal(input.getAttribute('aria-describedby'), `${input.id}-error`);
+      autocomplete.push(input.getAttribute('autocomplete'));
+    }
+
+    assert.deepEqual(autocomplete, ['cc-number', 'cc-exp', 'cc-csc', 'postal-code']);
+    assert.ok(this.element.querySelector('[role=alert]'), 'has a live region for submission errors');
+  });
+
+  test('it hides the ZIP code field', async function(assert) {
+    await render(hbs`{{stripe-card-form requireZip=false}}`);
+
+    assert.notOk(this.element.querySelector('[name=postal]'));
+  });
+
+  test('it formats what is typed', async function(assert) {
+    await render(hbs`{{stripe-card-form}}`);
+    await fillIn('[name=cardnumber]', '378282246310005');
+    await fillIn('[name=exp-date]', '1030');
+    await fillIn('[name=cvc]', '12345');
+
+    assert.equal(this.element.querySelector('[name=cardnumber]').value, '3782 822463 10005');
+    assert.equal(this.element.querySelector('[name=exp-date]').value, '10 / 30');
+    assert.equal(this.element.querySelector('[name=cvc]').value, '1234', 'American Express CVCs have 4 digits');
+  });
+
+  test('it shows errors once a field is left', async function(assert) {
+    await render(hbs`{{stripe-card-form}}`);
+    await fillIn('[name=cardnumber]', '4242424242424241');
+
+    let input = this.element.querySelector('[name=cardnumber]');
+    let error = this.element.querySelector(`#${input.id}-error`);
+    assert.equal(error.textContent.trim(), '', 'no error while typing');
+
+    await triggerEvent(input, 'blur');
+
+    assert.equal(error.textContent.trim(), 'The card number is invalid');
+    assert.equal(input.getAttribute('aria-invalid'), 'true');
+  });
+
+  test('it validates every field on submit without tokenizing', async function(assert) {
+    let onToken = sinon.spy();
+    this.set('onToken', onToken);
+
+    await render(hbs`{{stripe-card-form onToken=onToken messages=(hash cvc=(hash empty="CVC please"))}}`);
+    await click('button[type=submit]');
+
+    let errors = this.element.querySelectorAll('.stripe-card-form__error');
+    assert.deepEqual([].map.call(errors, (error) => error.textContent.trim()), [
+      'Enter a card number',
+      'Enter an expiration date',
+      'CVC please',
+      'Enter a ZIP code'
+    ]);
+    assert.equal(document.activeElement, this.element.querySelector('[name=cardnumber]'), 'the first invalid field is focused');
+    assert.notOk(onToken.called);
+  });
+
+  test('it tokenizes the card through the service', async function(assert) {
+    let stripe = this.owner.lookup('service:stripe');
+    let createToken = sinon.spy(stripe.card, 'createToken');
+    let onToken = sinon.spy();
+    this.set('onToken', onToken);
+
+    await render(hbs`{{stripe-card-form onToken=onToken}}`);
+    await fillCard();
+    await click('button[type=submit]');
+
+    assert.ok(createToken.calledWith({
+      number: '4242424242424242',
+      cvc: '123',
+      exp_month: 10,
+      exp_year: 2030,
+      address_zip: '12345'
+    }));
+    assert.ok(onToken.calledOnce);
+    assert.ok(/^tok_/.test(onToken.firstCall.args[0].id));
+
+    createToken.restore();
+  });
+
+  test('it disables the submit button while tokenizing', async function(assert) {
+    let stripe = this.owner.lookup('service:stripe');
+    let deferred = defer();
+    let createToken = sinon.stub(stripe.card, 'createToken').returns(deferred.promise);
+
+    await render(hbs`{{stripe-card-form}}`);
+    await fillCard();
+    await triggerEvent('form', 'submit');
+
+    assert.ok(this.element.querySelector('button').disabled);
+    assert.equal(this.element.querySelector('form').getAttribute('aria-busy'), 'true');
+
+    deferred.resolve({ id: 'tok_123' });
+    await settled();
+
+    assert.notOk(this.element.querySelector('button').disabled);
+    createToken.restore();
+  });
+
+  test('it cancels the token request and skips the callbacks once destroyed', async function(assert) {
+    let stripe = this.owner.lookup('service:stripe');
+    let deferred = defer();
+    let request = deferred.promise;
+    request.cancel = sinon.spy();
+    let createToken = sinon.stub(stripe.card, 'createToken').returns(request);
+    let onToken = sinon.spy();
+    let onError = sinon.spy();
+    this.setProperties({ onToken, onError, isShown: true });
+
+    await render(hbs`{{#if isShown}}{{stripe-card-form onToken=onToken onError=onError}}{{/if}}`);
+    await fillCard();
+    await triggerEvent('form', 'submit');
+
+    this.set('isShown', false);
+    assert.ok(request.cancel.calledOnce);
+
+    deferred.resolve({ id: 'tok_123' });
+    await settled();
+
+    assert.notOk(onToken.called);
+    assert.notOk(onError.called);
+    createToken.restore();
+  });
+
+  test('it does not report errors once destroyed', async function(assert) {
+    let stripe = this.owner.lookup('service:stripe');
+    let deferred = defer();
+    let request = deferred.promise;
+    request.cancel = () => deferred.reject(new StripeCancellationError('cancelled'));
+    let createToken = sinon.stub(stripe.card, 'createToken').returns(request);
+    let onError = sinon.spy();
+    this.setProperties({ onError, isShown: true });
+
+    await render(hbs`{{#if isShown}}{{stripe-card-form onError=onError}}{{/if}}`);
+    await fillCard();
+    await triggerEvent('form', 'submit');
+
+    this.set('isShown', false);
+    await settled();
+
+    assert.notOk(onError.called);
+    createToken.restore();
+  });
+
+  test('it passes what onToken throws to onError', async function(assert) {
+    let failure = new Error('charge failed');
+    let onError = sinon.spy();
+    this.setProperties({
+      onToken() {
+        throw failure;
+      },
+      onError
+    });
+
+    await render(hbs`{{stripe-card-form onToken=onToken onError=onError}}`);
+    await fillCard();
+    await click('button[type=submit]');
+
+    assert.ok(onError.calledWith(failure));
+    assert.equal(this.element.querySelector('[role=alert]').textContent.trim(), '', 'it is not shown in the form');
+    assert.notOk(this.element.querySelector('button').disabled);
+  });
+
+  test('it shows card errors next to their field and calls onError', async function(assert) {
+    let onError = sinon.spy();
+    this.set('onError', onError);
+
+    await render(hbs`{{stripe-card-form onError=onError}}`);
+    await fillCard('4000000000000127');
+    await click('button[type=submit]');
+
+    let input = this.element.querySelector('[name=cvc]');
+    assert.ok(onError.calledOnce);
+    assert.ok(onError.firstCall.args[0] instanceof StripeCardError);
+    assert.equal(this.element.querySelector(`#${input.id}-error`).textContent.trim(), onError.firstCall.args[0].message);
+    assert.equal(input.getAttribute('aria-invalid'), 'true');
+
+    await fillIn(input, '456');
+    assert.equal(input.getAttribute('aria-invalid'), 'false', 'the error goes away once the field changes');
+  });
+
+  test('it shows other errors in the live region', async function(assert) {
+    stripeMock.failNextToken('api_error', { type: 'api_error', message: 'Something went wrong', status: 500 });
+
+    await render(hbs`{{stripe-card-form}}`);
+    await fillCard();
+    await click('button[type=submit]');
+
+    assert.equal(this.element.querySelector('[role=alert]').textContent.trim(), 'Something went wrong');
+  });
+
+  test('it loads Stripe.js before tokenizing', async function(assert) {
+    let stripe = this.owner.lookup('service:stripe');
+    let load = sinon.spy(stripe, 'load');
+
+    await render(hbs`{{stripe-card-form}}`);
+    await fillCard();
+    await click('button[type=submit]');
+
+    assert.ok(load.called);
+    load.restore();
+  });
+});
@@ -0,0 +1,33 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from 'ember-qunit';
+import { render } from '@ember/test-helpers';
+import hbs from 'htmlbars-inline-precompile';
+import sinon from 'sinon';
+
+module('Integration | Helper | stripe-card-brand', function(hooks) {
+  setupRenderingTest(hooks);
+
+  test('it shows the brand and recomputes as the number changes', async function(assert) {
+    this.set('number', '4242');
+
+    await render(hbs`{{stripe-card-brand number}}`);
+    assert.equal(this.element.textContent.trim(), 'Visa');
+
+    this.set('number', '3782 82');
+    assert.equal(this.element.textContent.trim(), 'American Express');
+
+    this.set('number', '');
+    assert.equal(this.element.textContent.trim(), 'Unknown');
+  });
+
+  test('it uses the service cardType', async function(assert) {
+    let stripe = this.owner.lookup('service:stripe');
+    let cardType = sinon.stub(stripe.card, 'cardType').returns('Custom');
+
+    await render(hbs`{{stripe-card-brand "4242"}}`);
+
+    assert.equal(this.element.textContent.trim(), 'Custom');
+    assert.ok(cardType.calledWith('4242'));
+    cardType.restore();
+  });
+});
@@ -0,0 +1,18 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from 'ember-qunit';
+import { render } from '@ember/test-helpers';
+import hbs from 'htmlbars-inline-precompile';
+
+module('Integration | Helper | stripe-card-valid', function(hooks) {
+  setupRenderingTest(hooks);
+
+  test('it tells whether the number is valid as it changes', async function(assert) {
+    this.set('number', '4242 4242 4242 4241');
+
+    await render(hbs`{{if (stripe-card-valid number) "valid" "invalid"}}`);
+    assert.equal(this.element.textContent.trim(), 'invalid');
+
+    this.set('number', '4242 4242 4242 4242');
+    assert.equal(this.element.textContent.trim(), 'valid');
+  });
+});
@@ -0,0 +1,18 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from 'ember-qunit';
+import { render } from '@ember/test-helpers';
+import hbs from 'htmlbars-inline-precompile';
+
+module('Integration | Helper | stripe-format-card', function(hooks) {
+  setupRenderingTest(hooks);
+
+  test('it groups the number as it changes', async function(assert) {
+    this.set('number', '4242424242424242');
+
+    await render(hbs`{{stripe-format-card number}}`);
+    assert.equal(this.element.textContent.trim(), '4242 4242 4242 4242');
+
+    this.set('number', '378282246310005');
+    assert.equal(this.element.textContent.trim(), '3782 822463 10005');
+  });
+});
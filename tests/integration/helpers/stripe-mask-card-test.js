@@ -0,0 +1,34 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from 'ember-qunit';
+import { render } from '@ember/test-helpers';
+import hbs from 'htmlbars-inline-precompile';
+
+module('Integration | Helper | stripe-mask-card', function(hooks) {
+  setupRenderingTest(hooks);
+
+  test('it masks the last4', async function(assert) {
+    this.set('last4', '4242');
+
+    await render(hbs`{{stripe-mask-card last4}}`);
+    assert.equal(this.element.textContent.trim(), '•••• 4242');
+
+    this.set('last4', '1881');
+    assert.equal(this.element.textContent.trim(), '•••• 1881');
+  });
+
+  test('it follows the brand grouping when the brand is given', async function(assert) {
+    this.setProperties({ last4: '0005', brand: 'American Express' });
+
+    await render(hbs`{{stripe-mask-card last4 brand}}`);
+    assert.equal(this.element.textContent.trim(), '•••• •••••• •0005');
+
+    this.set('brand', 'Visa');
+    assert.equal(this.element.textContent.trim(), '•••• •••• •••• 0005');
+  });
+
+  test('it accepts options', async function(assert) {
+    await render(hbs`{{stripe-mask-card "4242" "Visa" full=false character="*"}}`);
+
+    assert.equal(this.element.textContent.trim(), '**** 4242');
+  });
+});
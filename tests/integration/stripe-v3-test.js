@@ -0,0 +1,177 @@
+import { module, test } from 'qunit';
+import { setupTest } from 'ember-qunit';
+import env from 'dummy/config/environment';
+import StripeMock, { StripeV3Mock } from 'ember-stripe-service/utils/stripe-mock';
+import sinon from 'sinon';
+import { StripeCardError, StripeTimeoutError, StripeCancellationError } from 'ember-stripe-service/utils/errors';
+
+module('Integration | Stripe service | v3', function(hooks) {
+  setupTest(hooks);
+
+  hooks.beforeEach(function() {
+    this.Stripe = sinon.spy(StripeV3Mock);
+    window.Stripe = this.Stripe;
+
+    this.stripe = this.owner.factoryFor('service:stripe').create({
+      config: {
+        mock: true,
+        version: 3,
+        publishableKey: env.stripe.publishableKey
+      }
+    });
+
+    this.card = this.stripe.elements().create('card');
+  });
+
+  hooks.afterEach(function() {
+    window.Stripe = StripeMock;
+    StripeMock.resetMock();
+  });
+
+  test('it builds a Stripe instance with the publishable key', function(assert) {
+    assert.ok(this.Stripe.calledWith(env.stripe.publishableKey));
+    assert.equal(this.stripe.get('scriptUrl'), 'https://js.stripe.com/v3/');
+  });
+
+  test('createToken resolves with the token', function(assert) {
+    return this.stripe.createToken(this.card).then(({ token }) => {
+      assert.ok(/^tok_/.test(token.id));
+      assert.equal(this.stripe.get('runCount'), 0, 'runCount is back to 0');
+    });
+  });
+
+  test('createToken rejects with a StripeError when the result holds an error', function(assert) {
+    this.card.mockCard = { number: '4000000000000002' };
+
+    return this.stripe.createToken(this.card).catch((error) => {
+      assert.ok(error instanceof StripeCardError);
+      assert.equal(error.code, 'card_declined');
+      assert.equal(error.declineCode, 'generic_decline');
+      assert.equal(this.stripe.get('runCount'), 0, 'runCount is back to 0');
+    });
+  });
+
+  test('createSource resolves with the source', function(assert) {
+    return this.stripe.createSource(this.card, { type: 'card' }).then(({ source }) => {
+      assert.ok(/^src_/.test(source.id));
+      assert.equal(source.status, 'chargeable');
+    });
+  });
+
+  test('createPaymentMethod resolves with the payment method', function(assert) {
+    return this.stripe.createPaymentMethod('card', this.card).then(({ paymentMethod }) => {
+      assert.ok(/^pm_/.test(paymentMethod.id));
+      assert.equal(paymentMethod.card.brand, 'visa');
+    });
+  });
+
+  test('v2 style call sites keep working', function(assert) {
+    let bankAccount = {
+      country: 'US',
+      currency: 'usd',
+      routing_number: '110000000',
+      account_number: '000123456789'
+    };
+
+    return this.stripe.bankAccount.createToken(bankAccount).then(({ token }) => {
+      assert.ok(/^btok_/.test(token.id));
+
+      return this.stripe.piiData.createToken({ personal_id_number: '000000000' });
+    }).then(({ token }) => {
+      assert.ok(/^pii_/.test(token.id));
+    });
+  });
+
+  test('v2 style call sites time out after tokenTimeout', function(assert) {
+    let createToken = sinon.stub(this.stripe.instance, 'createToken').returns(new Promise(() => {}));
+
+    return this.stripe.card.createToken(this.card, { name: 'Jenny Rosen', tokenTimeout: 10 }).then(() => {
+      assert.ok(false, 'should not resolve');
+    }, (error) => {
+      assert.ok(error instanceof StripeTimeoutError);
+      assert.deepEqual(createToken.firstCall.args, [this.card, { name: 'Jenny Rosen' }], 'Stripe.js only gets the token data');
+      assert.equal(this.stripe.get('runCount'), 0, 'runCount is back to 0');
+    });
+  });
+
+  test('the configured tokenTimeout applies to v2 style call sites', function(assert) {
+    this.stripe.set('config.tokenTimeout', 10);
+    let createToken = sinon.stub(this.stripe.instance, 'createToken').returns(new Promise(() => {}));
+
+    return this.stripe.piiData.createToken({ personal_id_number: '000000000' }).catch((error) => {
+      assert.ok(error instanceof StripeTimeoutError);
+      assert.deepEqual(createToken.firstCall.args, ['pii', { personal_id_number: '000000000' }]);
+    });
+  });
+
+  test('identical v2 style calls in flight share one request', function(assert) {
+    let createToken = sinon.spy(this.stripe.instance, 'createToken');
+    let other = this.stripe.elements().create('card');
+
+    return Promise.all([
+      this.stripe.card.createToken(this.card, { name: 'Jenny Rosen' }),
+      this.stripe.card.createToken(this.card, { name: 'Jenny Rosen' }),
+      this.stripe.card.createToken(other, { name: 'Jenny Rosen' })
+    ]).then(([first, second, third]) => {
+      assert.equal(createToken.callCount, 2, 'only different Elements or data reach Stripe');
+      assert.strictEqual(first, second);
+      assert.notStrictEqual(first.token.id, third.token.id);
+
+      return this.stripe.card.createToken(this.card, { name: 'Jenny Rosen' });
+    }).then(() => {
+      assert.equal(createToken.callCount, 3, 'settled requests are not shared');
+    });
+  });
+
+  test('v3 calls can be cancelled', function(assert) {
+    let resolveToken;
+    sinon.stub(this.stripe.instance, 'createToken').returns(new Promise((resolve) => {
+      resolveToken = resolve;
+    }));
+    let controller = new AbortController();
+    let onToken = sinon.spy();
+
+    let viaSignal = this.stripe.card.createToken(this.card, { signal: controller.signal });
+    let viaCancel = this.stripe.createToken(this.card);
+
+    viaSignal.then(onToken, () => {});
+    viaCancel.then(onToken, () => {});
+
+    return this.stripe.load().then(() => {
+      controller.abort();
+      viaCancel.cancel();
+
+      return Promise.all([viaSignal.catch((error) => error), viaCancel.catch((error) => error)]);
+    }).then((errors) => {
+      assert.ok(errors[0] instanceof StripeCancellationError);
+      assert.ok(errors[1] instanceof StripeCancellationError);
+      assert.equal(this.stripe.get('runCount'), 0, 'runCount is back to 0');
+
+      resolveToken({ token: { id: 'tok_late' } });
+    }).then(() => {
+      assert.notOk(onToken.called, 'the late result is ignored');
+    });
+  });
+
+  test('debug logs v3 calls', function(assert) {
+    let debug = sinon.stub(this.stripe, 'debug');
+
+    return this.stripe.createToken(this.card).then(() => {
+      assert.ok(debug.calledWith('createToken:'));
+      debug.restore();
+    });
+  });
+
+  test('forAccount creates tokens on behalf of a connected account', function(assert) {
+    let connected = this.stripe.forAccount({ stripeAccount: 'acct_123' });
+
+    return connected.createToken(this.card).then(({ token }) => {
+      assert.ok(/^tok_/.test(token.id));
+      assert.ok(this.Stripe.calledWith(env.stripe.publishableKey, { stripeAccount: 'acct_123' }));
+
+      return connected.createToken(this.card);
+    }).then(() => {
+      assert.equal(this.Stripe.callCount, 2, 'the connected account instance is reused');
+    });
+  });
+});
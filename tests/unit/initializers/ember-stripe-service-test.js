@@ -19,6 +19,16 @@ module('Unit | Initializer | Stripe Service Initializer', function(hooks) {
     info.restore();
   });
 
+  test('it logs to the sink registered as logger:stripe', function(assert) {
+    env.LOG_STRIPE_SERVICE = true;
+
+    let debug = sinon.spy();
+    this.owner.register('logger:stripe', { error() {}, warn() {}, info() {}, debug }, { instantiate: false });
+    initialize(this.owner.__container__, this.owner);
+
+    assert.ok(debug.calledWith('StripeService: initialize'));
+  });
+
   test('it turns on debugging when LOG_STRIPE_SERVICE is set in env config', function(assert) {
     env.LOG_STRIPE_SERVICE = true;
     env.stripe.debug = undefined; // act like this was never set
@@ -32,13 +42,39 @@ module('Unit | Initializer | Stripe Service Initializer', function(hooks) {
     info.restore();
   });
 
-  test('it uses stripe-mock when runing in FastBoot', function(assert) {
+  test('it throws without a publishable key', function(assert) {
+    let publishableKey = env.stripe.publishableKey;
+    delete env.stripe.publishableKey;
+
+    assert.throws(() => initialize(this.owner.__container__, this.owner), /Missing Stripe key/);
+
+    env.stripe.publishableKey = publishableKey;
+  });
+
+  test('the publishable key can be missing with runtimeKey', function(assert) {
+    let publishableKey = env.stripe.publishableKey;
+    delete env.stripe.publishableKey;
+    env.stripe.runtimeKey = true;
+
+    initialize(this.owner.__container__, this.owner);
+    assert.ok(true, 'it does not throw');
+
+    env.stripe.publishableKey = publishableKey;
+    delete env.stripe.runtimeKey;
+  });
+
+  test('it leaves Stripe.js to the browser in FastBoot, even when mocking', function(assert) {
+    let StripeGlobal = window.Stripe;
+    env.stripe.mock = true;
     window.FastBoot = true;
+    delete window.Stripe;
 
     initialize(this.owner.__container__, this.owner);
 
-    assert.equal(window.Stripe, StripeMock);
+    assert.equal(typeof window.Stripe, 'undefined', 'stripe-mock is not installed');
+
     delete window.FastBoot;
+    window.Stripe = StripeGlobal;
   });
 
   test('it uses stripe-mock when mocking is turned on', function(assert) {
@@ -0,0 +1,193 @@
+import DS from 'ember-data';
+import { module, test } from 'qunit';
+import { setupTest } from 'ember-qunit';
+import { resolve } from 'rsvp';
+import sinon from 'sinon';
+import TokenizableModelMixin from 'ember-stripe-service/mixins/tokenizable-model';
+import { setupStripe } from 'ember-stripe-service/test-support';
+import { StripeCardError } from 'ember-stripe-service/utils/errors';
+
+const PaymentMethod = DS.Model.extend(TokenizableModelMixin, {
+  number: DS.attr('string', { stripe: 'card' }),
+  expMonth: DS.attr('number', { stripe: 'card' }),
+  expYear: DS.attr('number', { stripe: 'card' }),
+  cvc: DS.attr('string', { stripe: 'card' }),
+  zip: DS.attr('string', { stripe: 'card', param: 'address_zip' }),
+  routingNumber: DS.attr('string', { stripe: 'bankAccount' }),
+  accountNumber: DS.attr('string', { stripe: 'bankAccount' }),
+  country: DS.attr('string', { stripe: 'bankAccount' }),
+  nickname: DS.attr('string'),
+  cardToken: DS.attr('string'),
+  bankAccountToken: DS.attr('string'),
+  source: DS.attr('string')
+});
+
+// remembers the token id of every saved record
+const Adapter = DS.Adapter.extend({
+  init() {
+    this._super(...arguments);
+    this.saved = [];
+  },
+
+  createRecord(store, type, snapshot) {
+    this.saved.push(snapshot.attr('cardToken'));
+    return resolve({ id: `${this.saved.length}` });
+  },
+
+  deleteRecord() {
+    return resolve();
+  }
+});
+
+module('Unit | Mixin | tokenizable-model', function(hooks) {
+  setupTest(hooks);
+  let stripeMock = setupStripe(hooks);
+
+  hooks.beforeEach(function() {
+    this.owner.register('model:payment-method', PaymentMethod);
+    this.owner.register('adapter:payment-method', Adapter);
+    this.owner.register('serializer:payment-method', DS.JSONSerializer);
+
+    let store = this.owner.lookup('service:store');
+    this.adapter = store.adapterFor('payment-method');
+    this.model = (properties) => store.createRecord('payment-method', properties);
+  });
+
+  test('it tokenizes changed card attributes before saving', function(assert) {
+    let stripe = this.owner.lookup('service:stripe');
+    let createToken = sinon.spy(stripe.card, 'createToken');
+    let model = this.model({ number: '4242424242424242', expMonth: 10, expYear: 2030, cvc: '123', zip: '12345', nickname: 'Work' });
+
+    return model.save().then(() => {
+      assert.ok(createToken.calledOnce);
+      assert.deepEqual(createToken.firstCall.args[0], {
+        number: '4242424242424242',
+        exp_month: 10,
+        exp_year: 2030,
+        cvc: '123',
+        address_zip: '12345'
+      });
+      assert.ok(/^tok_/.test(model.get('cardToken')), 'the token id is set');
+      assert.deepEqual(this.adapter.saved, [model.get('cardToken')], 'saves once tokenized');
+
+      createToken.restore();
+    });
+  });
+
+  test('it tokenizes every namespace with changed attributes', function(assert) {
+    let model = this.model({
+      number: '4242424242424242', expMonth: 10, expYear: 2030, cvc: '123',
+      country: 'US', routingNumber: '110000000', accountNumber: '000123456789'
+    });
+
+    return model.save().then(() => {
+      assert.ok(/^tok_/.test(model.get('cardToken')));
+      assert.ok(/^btok_/.test(model.get('bankAccountToken')));
+    });
+  });
+
+  test('it leaves namespaces without changes alone', function(assert) {
+    let stripe = this.owner.lookup('service:stripe');
+    let createToken = sinon.spy(stripe.card, 'createToken');
+
+    return this.model({ nickname: 'Work' }).save().then(() => {
+      assert.notOk(createToken.called);
+      createToken.restore();
+    });
+  });
+
+  test('token attributes can be renamed', function(assert) {
+    let model = this.model({ stripeTokenAttributes: { card: 'source' }, number: '4242424242424242', expMonth: 10, expYear: 2030 });
+
+    return model.tokenize().then(() => {
+      assert.ok(/^tok_/.test(model.get('source')));
+    });
+  });
+
+  test('Stripe errors are added to the matching attribute and the model is not saved', function(assert) {
+    let model = this.model({ number: '4000000000000127', expMonth: 10, expYear: 2030, cvc: '99' });
+
+    return model.save().then(() => {
+      assert.ok(false, 'should not resolve');
+    }, (error) => {
+      assert.ok(error instanceof StripeCardError);
+      assert.deepEqual(model.get('errors').errorsFor('cvc').mapBy('message'), [error.message]);
+      assert.deepEqual(this.adapter.saved, [], 'the model is not saved');
+      assert.notOk(model.get('isValid'), 'the model is invalid');
+    });
+  });
+
+  test('changing the attribute in error makes the model valid again', function(assert) {
+    let model = this.model({ number: '4000000000000127', expMonth: 10, expYear: 2030, cvc: '99' });
+
+    return model.save().catch(() => {
+      model.set('cvc', '123');
+
+      assert.ok(model.get('isValid'));
+      assert.ok(model.get('isNew'), 'the model is still waiting to be saved');
+      assert.ok(model.get('hasDirtyAttributes'));
+    });
+  });
+
+  test('invalid models can be saved again', function(assert) {
+    stripeMock.failNextToken('api_error', { type: 'api_error', message: 'boom', status: 500 });
+
+    let model = this.model({ number: '4242424242424242', expMonth: 10, expYear: 2030 });
+
+    return model.save().catch(() => {
+      assert.notOk(model.get('isValid'));
+
+      return model.save();
+    }).then(() => {
+      assert.ok(model.get('isValid'));
+      assert.notOk(model.get('isNew'), 'the model is saved');
+      assert.equal(model.get('errors.length'), 0, 'the Stripe error is gone');
+    });
+  });
+
+  test('save returns a promise object, like Ember Data', function(assert) {
+    let model = this.model({ number: '4242424242424242', expMonth: 10, expYear: 2030 });
+    let promise = model.save();
+
+    assert.ok(promise instanceof DS.PromiseObject);
+    assert.ok(promise.get('isPending'));
+
+    return promise.then((saved) => {
+      assert.strictEqual(saved, model);
+      assert.strictEqual(promise.get('content'), model);
+      assert.ok(promise.get('isFulfilled'));
+    });
+  });
+
+  test('errors without a matching attribute are added to base', function(assert) {
+    stripeMock.failNextToken('api_error', { type: 'api_error', message: 'boom', status: 500 });
+
+    let model = this.model({ number: '4242424242424242', expMonth: 10, expYear: 2030 });
+
+    return model.save().catch(() => {
+      assert.deepEqual(model.get('errors').errorsFor('base').mapBy('message'), ['boom']);
+
+      stripeMock.failNextToken('api_error', { type: 'api_error', message: 'boom', status: 500 });
+      return model.tokenize();
+    }).catch(() => {
+      assert.deepEqual(model.get('errors').errorsFor('base').mapBy('message'), ['boom'], 'added once');
+    });
+  });
+
+  test('deleted models are not tokenized', function(assert) {
+    let stripe = this.owner.lookup('service:stripe');
+    let createToken = sinon.spy(stripe.card, 'createToken');
+
+    let store = this.owner.lookup('service:store');
+    let model = store.push({ data: { id: '1', type: 'payment-method', attributes: { nickname: 'Work' } } });
+
+    model.set('number', '4242424242424242');
+    model.deleteRecord();
+
+    return model.save().then(() => {
+      assert.notOk(createToken.called);
+      assert.ok(model.get('isDeleted'));
+      createToken.restore();
+    });
+  });
+});
@@ -0,0 +1,22 @@
+import EmberObject from '@ember/object';
+import { module, test } from 'qunit';
+import TokenizableSerializerMixin from 'ember-stripe-service/mixins/tokenizable-serializer';
+
+module('Unit | Mixin | tokenizable-serializer', function() {
+  test('it leaves sensitive attributes out of the payload', function(assert) {
+    let Serializer = EmberObject.extend({
+      serializeAttribute(snapshot, json, key) {
+        json[key] = snapshot[key];
+      }
+    }).extend(TokenizableSerializerMixin);
+
+    let serializer = Serializer.create();
+    let snapshot = { number: '4242424242424242', cardToken: 'tok_123' };
+    let json = {};
+
+    serializer.serializeAttribute(snapshot, json, 'number', { name: 'number', options: { stripe: 'card' } });
+    serializer.serializeAttribute(snapshot, json, 'cardToken', { name: 'cardToken', options: {} });
+
+    assert.deepEqual(json, { cardToken: 'tok_123' });
+  });
+});
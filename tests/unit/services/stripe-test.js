@@ -1,6 +1,21 @@
 /* global Stripe */
 import sinon from 'sinon';
+import { Promise as EmberPromise } from 'rsvp';
+import {
+  StripeError,
+  StripeCardError,
+  StripeInvalidRequestError,
+  StripeApiError,
+  StripeCancellationError,
+  StripeTimeoutError,
+  StripeThrottleError,
+  StripeMissingKeyError,
+  StripeScriptLoadError,
+  StripeFastBootError
+} from 'ember-stripe-service/utils/errors';
 import { module, test } from 'qunit';
+import { assign } from '@ember/polyfills';
+import { run } from '@ember/runloop';
 import { setupTest } from 'ember-qunit';
 
 module('Unit | Services | Stripe service', function(hooks) {
@@ -55,7 +70,11 @@ module('Unit | Services | Stripe service', function(hooks) {
 
     return service.card.createToken(cc)
       .catch((res) => {
-        assert.deepEqual(res, response, 'error passed');
+        assert.ok(res instanceof StripeCardError, 'rejects with a StripeCardError');
+        assert.equal(res.code, 'invalid_number');
+        assert.equal(res.param, 'exp_month');
+        assert.equal(res.status, 402);
+        assert.deepEqual(res.response, response, 'error passed');
         createToken.restore();
       });
   });
@@ -104,7 +123,9 @@ module('Unit | Services | Stripe service', function(hooks) {
 
     return service.bankAccount.createToken(ba)
       .catch((res) => {
-        assert.equal(res, response, 'error passed');
+        assert.ok(res instanceof StripeError, 'rejects with a StripeError');
+        assert.equal(res.status, 402);
+        assert.equal(res.response, response, 'error passed');
         createBankAccountToken.restore();
       });
   });
@@ -155,8 +176,1089 @@ module('Unit | Services | Stripe service', function(hooks) {
 
     return service.piiData.createToken(ba)
       .catch((res) => {
-        assert.equal(res, response, 'error passed');
+        assert.ok(res instanceof StripeApiError, 'rejects with a StripeApiError');
+        assert.ok(res.isRetryable);
+        assert.equal(res.status, 500);
+        assert.equal(res.response, response, 'error passed');
         createPiiDataToken.restore();
       });
   });
+
+  // Stripe Connect
+  test('card.createToken uses the publishable key passed in for that call only', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+    let defaultKey = service.get('publishableKey');
+    let currentKey = defaultKey;
+    let callbacks = [];
+    let usedKeys = [];
+
+    let setPublishableKey = sinon.stub(Stripe, 'setPublishableKey').callsFake((key) => {
+      currentKey = key;
+    });
+    let createToken = sinon.stub(Stripe.card, 'createToken').callsFake(function(card, cb) {
+      usedKeys.push(currentKey);
+      callbacks.push(cb);
+    });
+
+    let first = service.card.createToken(cc, { publishableKey: 'pk_tenant_one' });
+    let second = service.forAccount({ publishableKey: 'pk_tenant_two' }).card.createToken(cc);
+
+    return service.load().then(() => {
+      assert.deepEqual(usedKeys, ['pk_tenant_one', 'pk_tenant_two'], 'each call used its own key');
+      assert.equal(currentKey, defaultKey, 'the configured key is put back');
+
+      // Stripe calls back in any order
+      callbacks[1](200, { id: 'tok_two' });
+      callbacks[0](200, { id: 'tok_one' });
+
+      return EmberPromise.all([first, second]);
+    }).then(([one, two]) => {
+      assert.equal(one.id, 'tok_one');
+      assert.equal(two.id, 'tok_two');
+      assert.equal(currentKey, defaultKey);
+
+      setPublishableKey.restore();
+      createToken.restore();
+    });
+  });
+
+  test('the configured key is put back when Stripe throws', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+    let keys = [];
+
+    let setPublishableKey = sinon.stub(Stripe, 'setPublishableKey').callsFake((key) => {
+      keys.push(key);
+    });
+    let createToken = sinon.stub(Stripe.card, 'createToken').throws(new Error('boom'));
+
+    return service.card.createToken(cc, { publishableKey: 'pk_tenant_one' })
+      .catch((error) => {
+        assert.equal(error.message, 'boom');
+        assert.deepEqual(keys, ['pk_tenant_one', service.get('publishableKey')]);
+
+        setPublishableKey.restore();
+        createToken.restore();
+      });
+  });
+
+  test('stripeAccount requires Stripe.js v3', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+
+    assert.throws(() => {
+      service.forAccount({ stripeAccount: 'acct_123' });
+    }, (error) => error instanceof StripeInvalidRequestError && /only supported with Stripe.js v3/.test(error.message));
+  });
+
+  test('tokens are not created on the platform account when stripeAccount is passed under v2', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+    let createToken = sinon.spy(Stripe.card, 'createToken');
+
+    return service.card.createToken(cc, { stripeAccount: 'acct_123' }).then(() => {
+      assert.ok(false, 'should not resolve');
+    }, (error) => {
+      assert.ok(error instanceof StripeInvalidRequestError);
+      assert.notOk(createToken.called, 'nothing reaches Stripe');
+
+      createToken.restore();
+    });
+  });
+
+  // De-duplication and cancellation
+  test('identical card.createToken calls in flight share one request', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+    let callbacks = [];
+
+    let createToken = sinon.stub(Stripe.card, 'createToken').callsFake(function(card, cb) {
+      callbacks.push(cb);
+    });
+
+    let first = service.card.createToken(cc);
+    let second = service.card.createToken(cc);
+    let other = service.card.createToken({ number: '5555555555554444' });
+
+    return service.load().then(() => {
+      assert.equal(createToken.callCount, 2, 'only different payloads reach Stripe');
+      assert.equal(service.get('runCount'), 2);
+
+      callbacks.forEach((cb) => cb(200, { id: 'the_token' }));
+
+      return EmberPromise.all([first, second, other]);
+    }).then(([one, two]) => {
+      assert.strictEqual(one, two, 'both callers get the same response');
+      assert.equal(service.get('runCount'), 0);
+
+      let third = service.card.createToken(cc);
+
+      return service.load().then(() => {
+        assert.equal(createToken.callCount, 3, 'settled requests are not shared');
+        callbacks[2](200, { id: 'another_token' });
+
+        return third;
+      });
+    }).then(() => {
+      createToken.restore();
+    });
+  });
+
+  test('card.createToken can be cancelled', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+    let callback;
+
+    let createToken = sinon.stub(Stripe.card, 'createToken').callsFake(function(card, cb) {
+      callback = cb;
+    });
+
+    let promise = service.card.createToken(cc);
+
+    return service.load().then(() => {
+      promise.cancel();
+
+      return promise;
+    }).catch((error) => {
+      assert.ok(error instanceof StripeCancellationError);
+      assert.equal(service.get('runCount'), 0, 'runCount is decremented');
+
+      callback(200, { id: 'too_late' });
+      assert.equal(service.get('runCount'), 0, 'a late callback is ignored');
+
+      createToken.restore();
+    });
+  });
+
+  test('card.createToken can be cancelled with an AbortSignal', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+    let controller = new AbortController();
+
+    let createToken = sinon.stub(Stripe.card, 'createToken');
+
+    let promise = service.card.createToken(cc, { signal: controller.signal });
+    controller.abort();
+
+    return promise.catch((error) => {
+      assert.ok(error instanceof StripeCancellationError);
+      assert.equal(service.get('runCount'), 0);
+      assert.ok(createToken.notCalled, 'Stripe is not called for a request cancelled while loading');
+
+      createToken.restore();
+    });
+  });
+
+  test('cancelling a shared request only rejects that caller', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+    let callback;
+
+    let createToken = sinon.stub(Stripe.card, 'createToken').callsFake(function(card, cb) {
+      callback = cb;
+    });
+
+    let cancelled = service.card.createToken(cc);
+    let kept = service.card.createToken(cc);
+
+    cancelled.cancel();
+
+    return cancelled.catch((error) => {
+      assert.ok(error instanceof StripeCancellationError);
+
+      return service.load();
+    }).then(() => {
+      assert.equal(service.get('runCount'), 1, 'the request is still pending');
+
+      callback(200, { id: 'the_token' });
+
+      return kept;
+    }).then((res) => {
+      assert.equal(res.id, 'the_token');
+      assert.equal(service.get('runCount'), 0);
+
+      createToken.restore();
+    });
+  });
+
+  test('card.createToken rejects with a StripeTimeoutError after tokenTimeout', function(assert) {
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: { publishableKey: 'pk_thisIsATestKey', tokenTimeout: 10 }
+    });
+    let callback;
+
+    let createToken = sinon.stub(Stripe.card, 'createToken').callsFake(function(card, cb) {
+      callback = cb;
+    });
+
+    return service.card.createToken(cc).catch((error) => {
+      assert.ok(error instanceof StripeTimeoutError);
+      assert.ok(error.isRetryable);
+      assert.equal(error.timeout, 10);
+      assert.equal(service.get('runCount'), 0, 'runCount is decremented');
+      assert.deepEqual(service.pendingRequests(), []);
+
+      callback(200, { id: 'too_late' });
+      assert.equal(service.get('runCount'), 0, 'a late callback is ignored');
+
+      createToken.restore();
+    });
+  });
+
+  test('tokenTimeout can be set per call', function(assert) {
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: { publishableKey: 'pk_thisIsATestKey', tokenTimeout: 10 }
+    });
+    let callback;
+
+    let createToken = sinon.stub(Stripe.bankAccount, 'createToken').callsFake(function(bankAccount, cb) {
+      callback = cb;
+    });
+
+    let waiting = service.bankAccount.createToken(ba, { tokenTimeout: 0 });
+    let timingOut = service.bankAccount.createToken(ba, { tokenTimeout: 5 });
+
+    return timingOut.catch((error) => {
+      assert.ok(error instanceof StripeTimeoutError);
+      assert.equal(service.get('runCount'), 1, 'the shared request is kept for the other caller');
+
+      callback(200, { id: 'the_token' });
+
+      return waiting;
+    }).then((res) => {
+      assert.equal(res.id, 'the_token', 'a call without timeout keeps waiting');
+      assert.equal(service.get('runCount'), 0);
+
+      createToken.restore();
+    });
+  });
+
+  // Card testing guard
+  test('the card testing guard limits card tokens', function(assert) {
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: { publishableKey: 'pk_thisIsATestKey', cardTestingGuard: { maxAttempts: 1 } }
+    });
+
+    let createToken = sinon.stub(Stripe.card, 'createToken').callsFake(function(card, cb) {
+      cb(200, { id: 'the_token' });
+    });
+
+    return service.card.createToken(cc).then(() => {
+      return service.card.createToken(cc);
+    }).catch((error) => {
+      assert.ok(error instanceof StripeThrottleError);
+      assert.equal(error.reason, 'rate_limit');
+      assert.ok(error.retryAfter > 0);
+      assert.equal(createToken.callCount, 1, 'Stripe is not called');
+
+      createToken.restore();
+    });
+  });
+
+  test('the card testing guard cools down after declines', function(assert) {
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: { publishableKey: 'pk_thisIsATestKey', cardTestingGuard: { declinesBeforeCooldown: 0 } }
+    });
+
+    let createToken = sinon.stub(Stripe.card, 'createToken').callsFake(function(card, cb) {
+      cb(402, { error: { type: 'card_error', code: 'card_declined' } });
+    });
+
+    return service.card.createToken(cc).catch((error) => {
+      assert.ok(error instanceof StripeCardError);
+
+      return service.card.createToken(cc);
+    }).catch((error) => {
+      assert.ok(error instanceof StripeThrottleError);
+      assert.equal(error.reason, 'cooldown');
+
+      createToken.restore();
+    });
+  });
+
+  test('the card testing guard counts identical concurrent calls once', function(assert) {
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: { publishableKey: 'pk_thisIsATestKey', cardTestingGuard: true }
+    });
+    let guard = service.get('cardTestingGuard');
+    let callback;
+
+    let createToken = sinon.stub(Stripe.card, 'createToken').callsFake(function(card, cb) {
+      callback = cb;
+    });
+
+    let first = service.card.createToken(cc);
+    let second = service.card.createToken(cc);
+
+    return service.load().then(() => {
+      callback(402, { error: { type: 'card_error', code: 'card_declined' } });
+
+      return EmberPromise.all([first.catch((error) => error), second.catch((error) => error)]);
+    }).then(([firstError, secondError]) => {
+      assert.ok(firstError instanceof StripeCardError);
+      assert.ok(secondError instanceof StripeCardError);
+      assert.equal(createToken.callCount, 1, 'one request is sent');
+      assert.equal(guard.declines, 1, 'the shared decline counts once');
+      assert.strictEqual(guard.check(false), null, 'no cooldown after a single decline');
+
+      createToken.restore();
+    });
+  });
+
+  test('the card testing guard asks for the challenge after declines', function(assert) {
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: {
+        publishableKey: 'pk_thisIsATestKey',
+        cardTestingGuard: { challengeAfter: 1, cooldown: 0 }
+      }
+    });
+    let challenge = sinon.stub();
+    challenge.onFirstCall().returns(EmberPromise.reject(new Error('wrong answer')));
+    challenge.onSecondCall().returns(EmberPromise.resolve());
+    service.set('cardTestingChallenge', challenge);
+
+    let createToken = sinon.stub(Stripe.card, 'createToken');
+    createToken.onFirstCall().callsFake(function(card, cb) {
+      cb(402, { error: { type: 'card_error', code: 'card_declined' } });
+    });
+    createToken.onSecondCall().callsFake(function(card, cb) {
+      cb(200, { id: 'the_token' });
+    });
+
+    return service.card.createToken(cc).catch(() => {
+      return service.card.createToken(cc);
+    }).catch((error) => {
+      assert.ok(error instanceof StripeThrottleError);
+      assert.equal(error.reason, 'challenge');
+      assert.equal(createToken.callCount, 1, 'Stripe is not called until the challenge is passed');
+
+      return service.card.createToken(cc);
+    }).then((res) => {
+      assert.equal(res.id, 'the_token');
+      assert.equal(challenge.callCount, 2);
+
+      createToken.restore();
+    });
+  });
+
+  // Script URL
+  test('scriptUrl follows the version, fakeServer and scriptUrl config', function(assert) {
+    let create = (config) => this.owner.factoryFor('service:stripe').create({
+      config: assign({ lazyLoad: true, publishableKey: 'pk_thisIsATestKey' }, config)
+    });
+
+    assert.equal(create({}).get('scriptUrl'), 'https://js.stripe.com/v2/');
+    assert.equal(create({ version: 3 }).get('scriptUrl'), 'https://js.stripe.com/v3/');
+    assert.equal(create({ fakeServer: true }).get('scriptUrl'), '/_stripe/v2/');
+    assert.equal(create({ fakeServer: true, version: 3 }).get('scriptUrl'), 'https://js.stripe.com/v3/', 'the fake only stands in for v2');
+    assert.equal(create({ scriptUrl: '/stripe.js', fakeServer: true }).get('scriptUrl'), '/stripe.js');
+  });
+
+  // FastBoot
+  test('in FastBoot token creation rejects with a StripeFastBootError', function(assert) {
+    window.FastBoot = true;
+
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: { publishableKey: 'pk_thisIsATestKey' }
+    });
+    let createToken = sinon.spy(Stripe.card, 'createToken');
+
+    delete window.FastBoot;
+
+    assert.notOk(service.get('didConfigure'), 'Stripe.js is left for the browser');
+    assert.notOk(service._waiter.isRegistered, 'no test waiter is registered');
+
+    return service.card.createToken(cc).catch((error) => {
+      assert.ok(error instanceof StripeFastBootError);
+      assert.ok(createToken.notCalled, 'the mock is not called');
+      assert.equal(service.get('runCount'), 0);
+
+      createToken.restore();
+    });
+  });
+
+  test('in FastBoot Stripe.js v3 methods reject with a StripeFastBootError', function(assert) {
+    window.FastBoot = true;
+
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: { publishableKey: 'pk_thisIsATestKey', version: 3 }
+    });
+
+    delete window.FastBoot;
+
+    return service.createSource({ type: 'card' }).catch((error) => {
+      assert.ok(error instanceof StripeFastBootError);
+      assert.equal(service.get('runCount'), 0);
+    });
+  });
+
+  test('in FastBoot the built-in validators are used and nothing is loaded', function(assert) {
+    window.FastBoot = true;
+
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: { publishableKey: 'pk_thisIsATestKey', lazyLoad: true, scriptUrl: '/not-loaded.js' }
+    });
+
+    delete window.FastBoot;
+
+    assert.equal(service.card.cardType('4242424242424242'), 'Visa');
+    assert.strictEqual(service.card.validateCVC('123'), true);
+    assert.strictEqual(service.bankAccount.validateRoutingNumber('110000000', 'US'), true);
+
+    return service.load().then(() => {
+      assert.notOk(service.get('didConfigure'));
+    });
+  });
+
+  // Events
+  test('it triggers events when a token is requested and created', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+    let events = [];
+
+    ['tokenRequested', 'tokenCreated', 'tokenFailed'].forEach((name) => {
+      service.on(name, (payload) => events.push([name, payload]));
+    });
+
+    let createToken = sinon.stub(Stripe.card, 'createToken').callsFake(function(card, cb) {
+      cb(200, { id: 'the_token' });
+    });
+
+    return service.card.createToken(cc).then(() => {
+      assert.deepEqual(events.map(([name]) => name), ['tokenRequested', 'tokenCreated']);
+
+      let [, requested] = events[0];
+      assert.equal(requested.type, 'card');
+      assert.equal(requested.method, 'card.createToken');
+      assert.equal(requested.data.number, '[redacted]', 'the card number is redacted');
+      assert.equal(requested.data.cvc, '[redacted]', 'the CVC is redacted');
+      assert.equal(requested.data.exp_month, 10);
+
+      let [, created] = events[1];
+      assert.equal(created.type, 'card');
+      assert.equal(created.id, 'the_token');
+      assert.ok(created.duration >= 0, 'the duration is measured');
+
+      createToken.restore();
+    });
+  });
+
+  test('tokenFailed follows tokenRequested when every caller cancelled before Stripe.js was called', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+    let events = [];
+
+    ['tokenRequested', 'tokenCreated', 'tokenFailed'].forEach((name) => {
+      service.on(name, (payload) => events.push([name, payload]));
+    });
+
+    let createToken = sinon.spy(Stripe.card, 'createToken');
+    let promise = service.card.createToken(cc);
+    promise.cancel();
+
+    return promise.catch((error) => {
+      assert.ok(error instanceof StripeCancellationError);
+
+      return service.load();
+    }).then(() => {
+      assert.deepEqual(events.map(([name]) => name), ['tokenRequested', 'tokenFailed']);
+      assert.equal(events[1][1].error.name, 'StripeCancellationError');
+      assert.notOk(createToken.called, 'nothing reaches Stripe');
+      assert.equal(service.get('runCount'), 0);
+
+      createToken.restore();
+    });
+  });
+
+  test('it triggers tokenFailed with the error code', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+    let failed;
+
+    service.on('tokenFailed', (payload) => {
+      failed = payload;
+    });
+
+    let createToken = sinon.stub(Stripe.bankAccount, 'createToken').callsFake(function(bankAccount, cb) {
+      cb(402, { error: { type: 'card_error', code: 'card_declined', decline_code: 'insufficient_funds' } });
+    });
+
+    return service.bankAccount.createToken(ba).catch(() => {
+      assert.equal(failed.type, 'bankAccount');
+      assert.deepEqual(failed.error, {
+        name: 'StripeCardError',
+        type: 'card_error',
+        code: 'card_declined',
+        declineCode: 'insufficient_funds',
+        status: 402
+      });
+      assert.ok(failed.duration >= 0);
+
+      createToken.restore();
+    });
+  });
+
+  test('it triggers events when Stripe.js loads', function(assert) {
+    let scriptUrl = `/load-script-fixture.js?${Date.now()}`;
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: { lazyLoad: true, scriptUrl, publishableKey: 'pk_thisIsATestKey' }
+    });
+    let events = [];
+
+    ['scriptLoadStart', 'scriptLoaded', 'scriptLoadFailed'].forEach((name) => {
+      service.on(name, (payload) => events.push([name, payload]));
+    });
+
+    service.load();
+
+    return service.load().then(() => {
+      assert.deepEqual(events.map(([name]) => name), ['scriptLoadStart', 'scriptLoaded'], 'triggered once per load');
+      assert.equal(events[0][1].url, scriptUrl);
+      assert.ok(events[1][1].duration >= 0);
+    });
+  });
+
+  test('lazily loaded scripts take the nonce of the page scripts, not the configured one', function(assert) {
+    let scriptUrl = `/load-script-fixture.js?nonce-${Date.now()}`;
+    let pageScript = document.createElement('script');
+    pageScript.setAttribute('nonce', 'page-nonce');
+    document.body.appendChild(pageScript);
+
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: { lazyLoad: true, scriptUrl, nonce: '{{CSP_NONCE}}', publishableKey: 'pk_thisIsATestKey' }
+    });
+
+    return service.load().then(() => {
+      let script = document.querySelector(`script[src="${scriptUrl}"]`);
+
+      assert.equal(script.nonce || script.getAttribute('nonce'), 'page-nonce');
+    }).finally(() => {
+      document.body.removeChild(pageScript);
+    });
+  });
+
+  test('it triggers scriptLoadFailed when Stripe.js does not load', function(assert) {
+    let scriptUrl = `/does-not-exist.js?${Date.now()}`;
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: { lazyLoad: true, scriptUrl, loadRetries: 0, publishableKey: 'pk_thisIsATestKey' }
+    });
+    let failed;
+
+    service.on('scriptLoadFailed', (payload) => {
+      failed = payload;
+    });
+
+    return service.load().catch(() => {
+      assert.equal(failed.url, scriptUrl);
+      assert.equal(failed.error.name, 'StripeScriptLoadError');
+    });
+  });
+
+  // Sources
+  test('source.create creates a source', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+
+    return service.source.create({ type: 'sepa_debit', sepa_debit: { iban: 'DE89370400440532013000' } })
+      .then((source) => {
+        assert.ok(/^src_/.test(source.id));
+        assert.equal(source.status, 'chargeable');
+        assert.equal(service.get('runCount'), 0);
+      });
+  });
+
+  test('source.create redacts the IBAN from the tokenRequested event', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+    let requested;
+
+    service.on('tokenRequested', (payload) => {
+      requested = payload;
+    });
+
+    return service.source.create({ type: 'sepa_debit', sepa_debit: { iban: 'DE89370400440532013000' } }).then(() => {
+      assert.equal(requested.method, 'source.create');
+      assert.equal(requested.data.sepa_debit.iban, '[redacted]');
+    });
+  });
+
+  test('source.create rejects the promise if Stripe errors', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+
+    return service.source.create({}).catch((error) => {
+      assert.ok(error instanceof StripeError);
+      assert.equal(error.param, 'type');
+    });
+  });
+
+  test('source.poll resolves once the source is chargeable', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+    let statuses = [];
+
+    return service.source.create({ type: 'ideal', amount: 1099, currency: 'eur' }).then((source) => {
+      let promise = service.source.poll(source.id, source.client_secret, {
+        onStatus: (polled) => statuses.push(polled.status)
+      });
+
+      assert.equal(service.get('runCount'), 1, 'polling is tracked by the test waiter');
+      assert.equal(service.pendingRequests()[0].method, 'source.poll');
+
+      return promise;
+    }).then((source) => {
+      assert.equal(source.status, 'chargeable');
+      assert.deepEqual(statuses, ['pending', 'chargeable']);
+      assert.equal(service.get('runCount'), 0);
+    });
+  });
+
+  test('source.poll resolves with a failed source', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+    Stripe.respondNext('sourcePoll', { status: 'failed' });
+
+    return service.source.create({ type: 'ideal', amount: 1099, currency: 'eur' }).then((source) => {
+      return service.source.poll(source.id, source.client_secret);
+    }).then((source) => {
+      assert.equal(source.status, 'failed');
+    });
+  });
+
+  test('source.poll can be cancelled', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+    let callback;
+
+    let poll = sinon.stub(Stripe.source, 'poll').callsFake(function(id, clientSecret, cb) {
+      callback = cb;
+    });
+    let cancelPoll = sinon.spy(Stripe.source, 'cancelPoll');
+
+    let promise = service.source.poll('src_123', 'src_client_secret_123');
+
+    return service.load().then(() => {
+      callback(200, { id: 'src_123', status: 'pending' });
+      promise.cancel();
+
+      return promise;
+    }).catch((error) => {
+      assert.ok(error instanceof StripeCancellationError);
+      assert.ok(cancelPoll.calledWith('src_123'), 'Stripe stops polling');
+      assert.equal(service.get('runCount'), 0);
+
+      callback(200, { id: 'src_123', status: 'chargeable' });
+      assert.equal(service.get('runCount'), 0, 'a late callback is ignored');
+
+      poll.restore();
+      cancelPoll.restore();
+    });
+  });
+
+  // 3D Secure
+  let threeDSecureParams = { card: 'tok_visa', amount: 1099, currency: 'eur', return_url: 'https://example.com/3ds' };
+
+  test('threeDSecure.create creates a 3D Secure object', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+
+    return service.threeDSecure.create(threeDSecureParams).then((threeDSecure) => {
+      assert.ok(/^tdsrc_/.test(threeDSecure.id));
+      assert.equal(threeDSecure.status, 'redirect_pending');
+    });
+  });
+
+  test('threeDSecure.authenticate shows the challenge and resolves with its outcome', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+
+    return service.threeDSecure.create(threeDSecureParams).then((threeDSecure) => {
+      let promise = service.threeDSecure.authenticate(threeDSecure);
+      let dialog = document.querySelector('.stripe-three-d-secure');
+
+      assert.ok(dialog, 'the challenge is shown');
+      assert.equal(dialog.getAttribute('role'), 'dialog');
+      assert.equal(dialog.querySelector('iframe').getAttribute('src'), threeDSecure.redirect.url);
+      assert.equal(service.pendingRequests()[0].method, 'threeDSecure.authenticate', 'tracked by the test waiter');
+
+      Stripe.completeThreeDSecure('succeeded');
+
+      return promise.then((result) => {
+        assert.deepEqual(result, { id: threeDSecure.id, status: 'succeeded' });
+        assert.notOk(document.querySelector('.stripe-three-d-secure'), 'the challenge is closed');
+        assert.equal(service.get('runCount'), 0);
+      });
+    });
+  });
+
+  test('threeDSecure.authenticate resolves with failed and abandoned challenges', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+
+    return service.threeDSecure.create(threeDSecureParams).then((threeDSecure) => {
+      let promise = service.threeDSecure.authenticate(threeDSecure);
+      Stripe.completeThreeDSecure('failed');
+
+      return promise;
+    }).then((result) => {
+      assert.equal(result.status, 'failed');
+
+      return service.threeDSecure.create(threeDSecureParams);
+    }).then((threeDSecure) => {
+      let promise = service.threeDSecure.authenticate(threeDSecure);
+      Stripe.completeThreeDSecure('abandoned');
+
+      return promise;
+    }).then((result) => {
+      assert.equal(result.status, 'abandoned', 'the customer closed the challenge');
+      assert.equal(service.get('runCount'), 0);
+    });
+  });
+
+  test('threeDSecure.authenticate ignores results of other challenges', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+    let first;
+
+    return service.threeDSecure.create(threeDSecureParams).then((threeDSecure) => {
+      first = threeDSecure;
+      return service.threeDSecure.create(threeDSecureParams);
+    }).then((second) => {
+      let promise = service.threeDSecure.authenticate(first);
+
+      Stripe.completeThreeDSecure('succeeded', second.id);
+      assert.equal(service.get('runCount'), 1, 'still waiting');
+
+      Stripe.completeThreeDSecure('failed', first.id);
+
+      return promise;
+    }).then((result) => {
+      assert.equal(result.status, 'failed');
+    });
+  });
+
+  test('threeDSecure.authenticate resolves right away without a challenge', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+
+    return service.threeDSecure.authenticate({ id: 'tdsrc_123', status: 'succeeded' }).then((result) => {
+      assert.deepEqual(result, { id: 'tdsrc_123', status: 'succeeded' });
+      assert.notOk(document.querySelector('.stripe-three-d-secure'));
+      assert.equal(service.get('runCount'), 0);
+    });
+  });
+
+  test('threeDSecure.authenticate reads the status of sources back from Stripe', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+    let sourceData = { type: 'three_d_secure', amount: 1099, currency: 'eur', three_d_secure: { card: 'src_card' } };
+
+    return service.source.create(sourceData).then((source) => {
+      let promise = service.threeDSecure.authenticate(source);
+      Stripe.completeThreeDSecure('succeeded');
+
+      return promise;
+    }).then((result) => {
+      assert.equal(result.status, 'chargeable');
+      assert.equal(result.source.id, result.id);
+
+      return service.source.create(sourceData);
+    }).then((source) => {
+      let promise = service.threeDSecure.authenticate(source);
+
+      // the return page claims success, Stripe knows better
+      Stripe.respondNext('sourceGet', { status: 'failed' });
+      Stripe.completeThreeDSecure('succeeded');
+
+      return promise;
+    }).then((result) => {
+      assert.equal(result.status, 'failed');
+      assert.equal(service.get('runCount'), 0);
+    });
+  });
+
+  test('threeDSecure.authenticate ends the request when the challenge can not be shown', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+    let container = {
+      appendChild() {
+        throw new Error('detached');
+      }
+    };
+
+    return service.threeDSecure.create(threeDSecureParams).then((threeDSecure) => {
+      return service.threeDSecure.authenticate(threeDSecure, { container });
+    }).then(() => {
+      assert.ok(false, 'the promise should reject');
+    }, (error) => {
+      assert.equal(error.message, 'detached');
+      assert.deepEqual(service.pendingRequests(), []);
+      assert.equal(service.get('runCount'), 0);
+    });
+  });
+
+  test('threeDSecure.authenticate can be cancelled', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+
+    return service.threeDSecure.create(threeDSecureParams).then((threeDSecure) => {
+      let promise = service.threeDSecure.authenticate(threeDSecure);
+      promise.cancel();
+
+      return promise;
+    }).catch((error) => {
+      assert.ok(error instanceof StripeCancellationError);
+      assert.notOk(document.querySelector('.stripe-three-d-secure'), 'the challenge is closed');
+      assert.equal(service.get('runCount'), 0);
+    });
+  });
+
+  // Test waiter
+  test('pendingRequests lists the requests waiting for Stripe', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+    let callback;
+
+    let createToken = sinon.stub(Stripe.card, 'createToken').callsFake(function(card, cb) {
+      callback = cb;
+    });
+
+    let promise = service.card.createToken(cc);
+    let [pending] = service.pendingRequests();
+
+    assert.equal(service.pendingRequests().length, 1);
+    assert.equal(pending.type, 'card');
+    assert.equal(pending.method, 'card.createToken');
+    assert.equal(typeof pending.stack, 'string', 'the stack the request was made from is kept');
+
+    return service.load().then(() => {
+      callback(200, { id: 'the_token' });
+
+      return promise;
+    }).then(() => {
+      assert.deepEqual(service.pendingRequests(), []);
+
+      createToken.restore();
+    });
+  });
+
+  test('a request ends even when handling the response throws', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+
+    let createToken = sinon.stub(Stripe.card, 'createToken').callsFake(function(card, cb) {
+      cb(402, null);
+    });
+
+    return service.card.createToken(cc).then(() => {
+      assert.ok(false, 'the promise should reject');
+    }, (error) => {
+      assert.ok(error instanceof TypeError, 'the caller gets the error');
+      assert.deepEqual(service.pendingRequests(), []);
+      assert.equal(service.get('runCount'), 0);
+    }).finally(() => {
+      createToken.restore();
+    });
+  });
+
+  test('Stripe.js v3 requests end when Stripe.js fails to load', function(assert) {
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: {
+        version: 3,
+        lazyLoad: true,
+        loadRetries: 0,
+        scriptUrl: `/does-not-exist.js?${Date.now()}`,
+        publishableKey: 'pk_thisIsATestKey'
+      }
+    });
+
+    return service.createToken({}).catch(() => {
+      assert.deepEqual(service.pendingRequests(), []);
+      assert.equal(service.get('runCount'), 0);
+    });
+  });
+
+  test('the test waiter is unregistered when the service is destroyed', function(assert) {
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: { publishableKey: 'pk_thisIsATestKey' }
+    });
+
+    assert.ok(service._waiter.isRegistered);
+
+    run(() => service.destroy());
+
+    assert.notOk(service._waiter.isRegistered);
+  });
+
+  // Runtime key
+  test('with runtimeKey, token creation waits for configure({ publishableKey })', function(assert) {
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: { runtimeKey: true }
+    });
+    let setPublishableKey = sinon.spy(Stripe, 'setPublishableKey');
+    let createToken = sinon.stub(Stripe.card, 'createToken').callsFake(function(card, cb) {
+      cb(200, { id: 'the_token' });
+    });
+
+    assert.notOk(service.get('didConfigure'), 'configuring waits for the key');
+
+    let promise = service.card.createToken(cc);
+
+    return service.load().then(() => {
+      assert.ok(createToken.notCalled, 'the token waits for the key');
+
+      service.configure({ publishableKey: 'pk_runtimeKey' });
+
+      return promise;
+    }).then((res) => {
+      assert.equal(res.id, 'the_token');
+      assert.ok(setPublishableKey.calledWith('pk_runtimeKey'));
+      assert.equal(service.get('publishableKey'), 'pk_runtimeKey');
+
+      setPublishableKey.restore();
+      createToken.restore();
+    });
+  });
+
+  test('a key provider is asked once for the publishable key', function(assert) {
+    let service = this.owner.factoryFor('service:stripe').create({ config: {} });
+    let keyProvider = sinon.stub().returns(EmberPromise.resolve('pk_providedKey'));
+    let createToken = sinon.stub(Stripe.card, 'createToken').callsFake(function(card, cb) {
+      cb(200, { id: 'the_token' });
+    });
+
+    service.configure({ keyProvider });
+
+    return EmberPromise.all([
+      service.card.createToken(cc),
+      service.card.createToken({ number: '4000056655665556' })
+    ]).then(() => {
+      assert.equal(keyProvider.callCount, 1);
+      assert.equal(service.get('publishableKey'), 'pk_providedKey');
+      assert.ok(service.get('didConfigure'));
+
+      createToken.restore();
+    });
+  });
+
+  test('a failing key provider rejects with a StripeMissingKeyError and is asked again', function(assert) {
+    let service = this.owner.factoryFor('service:stripe').create({ config: {} });
+    let keyProvider = sinon.stub();
+    keyProvider.onFirstCall().returns(EmberPromise.reject(new Error('offline')));
+    keyProvider.onSecondCall().returns('pk_providedKey');
+    let createToken = sinon.stub(Stripe.card, 'createToken').callsFake(function(card, cb) {
+      cb(200, { id: 'the_token' });
+    });
+
+    service.configure({ keyProvider });
+
+    return service.card.createToken(cc).catch((error) => {
+      assert.ok(error instanceof StripeMissingKeyError);
+      assert.ok(/offline/.test(error.message));
+
+      return service.card.createToken(cc);
+    }).then((res) => {
+      assert.equal(res.id, 'the_token');
+      assert.equal(keyProvider.callCount, 2);
+
+      createToken.restore();
+    });
+  });
+
+  test('token creation rejects with a StripeMissingKeyError without a key', function(assert) {
+    let service = this.owner.factoryFor('service:stripe').create({ config: {} });
+
+    return service.card.createToken(cc).catch((error) => {
+      assert.ok(error instanceof StripeMissingKeyError);
+      assert.equal(service.get('runCount'), 0);
+    });
+  });
+
+  test('token creation rejects with a StripeScriptLoadError when the script tag was blocked', function(assert) {
+    let StripeGlobal = window.Stripe;
+    delete window.Stripe;
+
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: { publishableKey: 'pk_thisIsATestKey' }
+    });
+
+    return service.load().then(() => {
+      assert.notOk(service.get('didConfigure'));
+
+      return service.card.createToken(cc);
+    }).then(() => {
+      assert.ok(false, 'should not resolve');
+    }, (error) => {
+      assert.ok(error instanceof StripeScriptLoadError);
+      assert.equal(error.url, service.get('scriptUrl'));
+      assert.equal(service.get('runCount'), 0);
+    }).finally(() => {
+      window.Stripe = StripeGlobal;
+    });
+  });
+
+  // Async script
+  test('with an async script tag, token creation waits for Stripe.js', function(assert) {
+    let StripeGlobal = window.Stripe;
+    let scriptUrl = `/async-stripe.js?${Date.now()}`;
+    let script = document.createElement('script');
+    // not fetched, the test fires load itself
+    script.type = 'text/plain';
+    script.setAttribute('src', scriptUrl);
+    document.body.appendChild(script);
+
+    delete window.Stripe;
+
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: { async: true, scriptUrl, publishableKey: 'pk_thisIsATestKey' }
+    });
+
+    assert.ok(service.get('loadsAsync'));
+    assert.notOk(service.get('didConfigure'), 'configuring waits for Stripe.js');
+
+    let createToken = sinon.stub(StripeGlobal.card, 'createToken').callsFake(function(card, cb) {
+      cb(200, { id: 'the_token' });
+    });
+    let promise = service.card.createToken(cc);
+
+    window.Stripe = StripeGlobal;
+    let event = document.createEvent('Event');
+    event.initEvent('load', false, false);
+    script.dispatchEvent(event);
+
+    return promise.then((res) => {
+      assert.ok(service.get('didConfigure'));
+      assert.equal(res.id, 'the_token');
+
+      createToken.restore();
+      document.body.removeChild(script);
+    });
+  });
+
+  test('with an async script tag that already ran, the service configures right away', function(assert) {
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: { defer: true, publishableKey: 'pk_thisIsATestKey' }
+    });
+
+    assert.ok(service.get('didConfigure'));
+  });
+
+  // Validation
+  test('card validators work before Stripe.js is loaded', function(assert) {
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: {
+        lazyLoad: true,
+        publishableKey: 'pk_thisIsATestKey'
+      }
+    });
+
+    assert.notOk(service.get('didConfigure'), 'Stripe.js is not loaded');
+    assert.equal(service.card.cardType('378282246310005'), 'American Express');
+    assert.strictEqual(service.card.validateCardNumber('4242424242424242'), true);
+    assert.strictEqual(service.card.validateCVC('12'), false);
+    assert.strictEqual(service.card.validateExpiry(1, 2001), false);
+    assert.deepEqual(service.card.validate({ number: '4242424242424241' }).errors, {
+      number: 'failed_luhn',
+      cvc: 'empty',
+      expiry: 'empty'
+    });
+  });
+
+  test('bank account validators work before Stripe.js is loaded', function(assert) {
+    let service = this.owner.factoryFor('service:stripe').create({
+      config: {
+        lazyLoad: true,
+        publishableKey: 'pk_thisIsATestKey'
+      }
+    });
+
+    assert.strictEqual(service.bankAccount.validateRoutingNumber('110000000', 'US'), true);
+    assert.strictEqual(service.bankAccount.validateRoutingNumber('110000001', 'US'), false);
+    assert.strictEqual(service.bankAccount.validateAccountNumber('DE89370400440532013000', 'DE'), true);
+    assert.equal(service.bankAccount.requirements('DE').accountNumber.label, 'IBAN');
+    assert.deepEqual(service.bankAccount.validate({ country: 'GB', routingNumber: '10-88-00', accountNumber: '1' }).errors, {
+      accountNumber: 'invalid_format'
+    });
+  });
+
+  test('Stripe.js validators are used when available', function(assert) {
+    let service = this.owner.lookup('service:stripe');
+
+    assert.equal(service.card.validateCVC, Stripe.card.validateCVC);
+    assert.equal(service.bankAccount.validateRoutingNumber, Stripe.bankAccount.validateRoutingNumber);
+  });
 });
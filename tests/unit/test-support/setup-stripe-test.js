@@ -0,0 +1,114 @@
+import { module, test } from 'qunit';
+import { setupTest } from 'ember-qunit';
+import StripeMock from 'ember-stripe-service/utils/stripe-mock';
+import { StripeCardError, StripeInvalidRequestError } from 'ember-stripe-service/utils/errors';
+import { setupStripe } from 'ember-stripe-service/test-support';
+
+const CARD = {
+  number: '4242424242424242',
+  exp_month: 10,
+  exp_year: 2030,
+  cvc: '123'
+};
+
+module('Unit | Test support | setupStripe', function(hooks) {
+  setupTest(hooks);
+  let stripe = setupStripe(hooks);
+
+  hooks.beforeEach(function() {
+    this.service = this.owner.lookup('service:stripe');
+  });
+
+  test('it replaces Stripe.js with the mock', function(assert) {
+    assert.strictEqual(window.Stripe, StripeMock);
+  });
+
+  test('nextTokenResponse stubs the next token', function(assert) {
+    stripe.nextTokenResponse({ id: 'tok_visa' });
+
+    return this.service.card.createToken(CARD).then((token) => {
+      assert.equal(token.id, 'tok_visa');
+      assert.equal(token.card.last4, '4242', 'the rest of the token is built by the mock');
+
+      return this.service.card.createToken(CARD);
+    }).then((token) => {
+      assert.notEqual(token.id, 'tok_visa', 'only the next token is stubbed');
+    });
+  });
+
+  test('failNextToken makes the next token fail with Stripe\'s error', function(assert) {
+    stripe.failNextToken('insufficient_funds');
+
+    return this.service.card.createToken(CARD).catch((error) => {
+      assert.ok(error instanceof StripeCardError);
+      assert.equal(error.code, 'card_declined');
+      assert.equal(error.declineCode, 'insufficient_funds');
+      assert.equal(error.message, 'Your card has insufficient funds.');
+      assert.equal(error.status, 402);
+    });
+  });
+
+  test('failNextToken works for other namespaces and custom errors', function(assert) {
+    stripe.failNextToken('account_closed', { namespace: 'bankAccount' });
+
+    return this.service.bankAccount.createToken({ country: 'US', routingNumber: '110000000', accountNumber: '000123456789' }).catch((error) => {
+      assert.ok(error instanceof StripeInvalidRequestError);
+      assert.equal(error.code, 'account_closed');
+      assert.equal(error.param, 'account_number');
+
+      stripe.failNextToken('card_declined', { message: 'Nope', status: 400 });
+      return this.service.card.createToken(CARD);
+    }).catch((error) => {
+      assert.equal(error.message, 'Nope');
+      assert.equal(error.status, 400);
+    });
+  });
+
+  test('calls are recorded', function(assert) {
+    stripe.failNextToken();
+
+    return this.service.card.createToken(CARD).catch(() => {
+      return this.service.card.createToken(CARD);
+    }).then(() => {
+      assert.equal(stripe.calls.length, 2);
+      assert.equal(stripe.tokens.length, 1, 'tokens only holds successful calls');
+      assert.equal(stripe.calls[0].namespace, 'card');
+      assert.deepEqual(stripe.calls[0].data, CARD);
+
+      assert.stripeTokenCreated();
+      assert.stripeTokenCreated({ number: 4242424242424242, exp_year: '2030' }, 'values are compared as strings');
+    });
+  });
+
+  test('assert.stripeTokenCreated fails without a matching token', function(assert) {
+    let pushResult = assert.pushResult;
+    let results = [];
+    assert.pushResult = (result) => results.push(result);
+
+    assert.stripeTokenCreated();
+    assert.pushResult = pushResult;
+
+    assert.strictEqual(results[0].result, false);
+  });
+
+  test('completeThreeDSecure completes the challenge the service shows', function(assert) {
+    let params = { card: 'tok_visa', amount: 1099, currency: 'eur', return_url: 'https://example.com/3ds' };
+
+    return this.service.threeDSecure.create(params).then((threeDSecure) => {
+      let promise = this.service.threeDSecure.authenticate(threeDSecure);
+      stripe.completeThreeDSecure('failed');
+
+      return promise;
+    }).then((result) => {
+      assert.equal(result.status, 'failed');
+    });
+  });
+
+  test('state is reset between tests', function(assert) {
+    assert.deepEqual(stripe.calls, [], 'calls from previous tests are forgotten');
+
+    return this.service.card.createToken(CARD).then((token) => {
+      assert.notEqual(token.id, 'tok_visa');
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import { module, test } from 'qunit';
+import {
+  abaChecksum,
+  validateIban,
+  validateRoutingNumber,
+  validateAccountNumber,
+  validateBankAccount,
+  bankAccountRequirements,
+  stripeBankAccountHelpers
+} from 'ember-stripe-service/utils/bank-account-validation';
+
+module('Unit | Utility | bank-account-validation', function() {
+  test('abaChecksum', function(assert) {
+    assert.ok(abaChecksum('110000000'));
+    assert.ok(abaChecksum('111000025'));
+    assert.notOk(abaChecksum('110000001'));
+    assert.notOk(abaChecksum('000000000'), 'all zeros is not a routing number');
+    assert.notOk(abaChecksum('11000000'));
+  });
+
+  test('validateRoutingNumber for US routing numbers', function(assert) {
+    assert.ok(validateRoutingNumber('110000000', 'US').isValid);
+    assert.equal(validateRoutingNumber('110000001', 'US').reason, 'failed_checksum');
+    assert.equal(validateRoutingNumber('1100', 'us').reason, 'invalid_format');
+    assert.equal(validateRoutingNumber('', 'US').reason, 'empty');
+  });
+
+  test('validateRoutingNumber for Canadian transit and institution numbers', function(assert) {
+    assert.ok(validateRoutingNumber('11000-000', 'CA').isValid);
+    assert.ok(validateRoutingNumber('11000000', 'CA').isValid);
+    assert.ok(validateRoutingNumber('000011000', 'CA').isValid, 'electronic format');
+    assert.equal(validateRoutingNumber('1100-000', 'CA').reason, 'invalid_format');
+  });
+
+  test('validateRoutingNumber for UK sort codes and Australian BSBs', function(assert) {
+    assert.ok(validateRoutingNumber('10-88-00', 'GB').isValid);
+    assert.ok(validateRoutingNumber('108800', 'GB').isValid);
+    assert.equal(validateRoutingNumber('10-88-0', 'GB').reason, 'invalid_format');
+    assert.ok(validateRoutingNumber('110-000', 'AU').isValid);
+  });
+
+  test('validateRoutingNumber is not needed for IBAN countries', function(assert) {
+    assert.ok(validateRoutingNumber('', 'DE').isValid);
+  });
+
+  test('validateIban', function(assert) {
+    assert.deepEqual(validateIban('DE89 3704 0044 0532 0130 00'), { isValid: true, country: 'DE', reason: null });
+    assert.ok(validateIban('FR1420041010050500013M02606').isValid, 'letters in the BBAN');
+    assert.ok(validateIban('nl91abna0417164300').isValid, 'case insensitive');
+    assert.equal(validateIban('DE89370400440532013001').reason, 'failed_checksum');
+    assert.equal(validateIban('DE8937040044053201300').reason, 'invalid_length');
+    assert.equal(validateIban('XX89370400440532013000').reason, 'invalid_country');
+    assert.equal(validateIban('DE89-3704').reason, 'invalid_characters');
+    assert.equal(validateIban('').reason, 'empty');
+  });
+
+  test('validateAccountNumber', function(assert) {
+    assert.ok(validateAccountNumber('000123456789', 'US').isValid);
+    assert.equal(validateAccountNumber('123', 'US').reason, 'invalid_format');
+    assert.ok(validateAccountNumber('00012345', 'GB').isValid);
+    assert.equal(validateAccountNumber('0001234', 'GB').reason, 'invalid_format', 'UK accounts have 8 digits');
+    assert.ok(validateAccountNumber('DE89370400440532013000', 'DE').isValid);
+    assert.equal(validateAccountNumber('DE89370400440532013001', 'DE').reason, 'failed_checksum');
+    assert.equal(validateAccountNumber('FR1420041010050500013M02606', 'DE').reason, 'invalid_country');
+    assert.equal(validateAccountNumber('', 'US').reason, 'empty');
+  });
+
+  test('validateBankAccount returns the reason of every invalid field', function(assert) {
+    assert.ok(validateBankAccount({ country: 'US', routingNumber: '110000000', accountNumber: '000123456789' }).isValid);
+    assert.ok(validateBankAccount({ country: 'DE', account_number: 'DE89370400440532013000' }).isValid);
+    assert.deepEqual(validateBankAccount({ country: 'US', routingNumber: '110000001' }).errors, {
+      routingNumber: 'failed_checksum',
+      accountNumber: 'empty'
+    });
+  });
+
+  test('bankAccountRequirements tells which fields are needed', function(assert) {
+    let us = bankAccountRequirements('us');
+    let de = bankAccountRequirements('DE');
+
+    assert.equal(us.country, 'US');
+    assert.equal(us.currency, 'usd');
+    assert.notOk(us.usesIban);
+    assert.ok(us.fields.indexOf('routing_number') !== -1);
+    assert.equal(us.routingNumber.label, 'Routing number');
+
+    assert.equal(de.currency, 'eur');
+    assert.ok(de.usesIban);
+    assert.equal(de.fields.indexOf('routing_number'), -1, 'IBAN countries need no routing number');
+    assert.strictEqual(de.routingNumber, null);
+    assert.equal(de.accountNumber.label, 'IBAN');
+
+    assert.equal(bankAccountRequirements('GB').routingNumber.label, 'Sort code');
+    assert.equal(bankAccountRequirements('CH').currency, 'chf');
+  });
+
+  test('stripeBankAccountHelpers return booleans like Stripe.js v2', function(assert) {
+    assert.strictEqual(stripeBankAccountHelpers.validateRoutingNumber('110000000', 'US'), true);
+    assert.strictEqual(stripeBankAccountHelpers.validateAccountNumber('12', 'US'), false);
+  });
+});
@@ -0,0 +1,74 @@
+import { module, test } from 'qunit';
+import {
+  formatCardNumber,
+  formatExpiry,
+  formatCVC,
+  maskCardNumber,
+  reformat,
+  formatInput
+} from 'ember-stripe-service/utils/card-formatting';
+
+module('Unit | Utility | card-formatting', function() {
+  test('formatCardNumber groups digits the way the brand prints them', function(assert) {
+    assert.equal(formatCardNumber('4242424242424242'), '4242 4242 4242 4242');
+    assert.equal(formatCardNumber('378282246310005'), '3782 822463 10005', 'American Express is 4-6-5');
+    assert.equal(formatCardNumber('30569309025904'), '3056 930902 5904', 'Diners Club is 4-6-4');
+    assert.equal(formatCardNumber('4242-4242 42'), '4242 4242 42', 'partial input');
+    assert.equal(formatCardNumber('4242424242424242424'), '4242 4242 4242 4242 424', '19 digit cards');
+    assert.equal(formatCardNumber('37828224631000599'), '3782 822463 10005', 'cut to the brand length');
+    assert.equal(formatCardNumber('42a4'), '424');
+    assert.equal(formatCardNumber(null), '');
+  });
+
+  test('formatExpiry formats "MM / YY" as it is typed', function(assert) {
+    assert.equal(formatExpiry('1'), '1');
+    assert.equal(formatExpiry('4'), '04', 'months above 1 are padded');
+    assert.equal(formatExpiry('12'), '12');
+    assert.equal(formatExpiry('123'), '12 / 3');
+    assert.equal(formatExpiry('1225'), '12 / 25');
+    assert.equal(formatExpiry('12 / 25'), '12 / 25', 'formatted values stay as they are');
+    assert.equal(formatExpiry('1/25'), '01 / 25', 'a typed separator ends the month');
+    assert.equal(formatExpiry('12/2025'), '12 / 25', 'four digit years are shortened');
+    assert.equal(formatExpiry('12 / '), '12', 'deleting the year removes the separator');
+  });
+
+  test('formatCVC follows the brand CVC length', function(assert) {
+    assert.equal(formatCVC('12345', '4242424242424242'), '123');
+    assert.equal(formatCVC('12345', 'American Express'), '1234');
+    assert.equal(formatCVC('1a2'), '12');
+    assert.equal(formatCVC('12345'), '1234', 'unknown brands allow up to 4 digits');
+  });
+
+  test('maskCardNumber', function(assert) {
+    assert.equal(maskCardNumber('4242424242424242'), '•••• 4242');
+    assert.equal(maskCardNumber('4242'), '•••• 4242');
+    assert.equal(maskCardNumber('4242424242424242', { character: '*' }), '**** 4242');
+    assert.equal(maskCardNumber('4242', { full: true }), '•••• •••• •••• 4242');
+    assert.equal(maskCardNumber('378282246310005', { full: true }), '•••• •••••• •0005');
+    assert.equal(maskCardNumber('0005', { full: true, brand: 'American Express' }), '•••• •••••• •0005');
+    assert.equal(maskCardNumber('4242424242424242', { full: true, visible: 0 }), '•••• •••• •••• ••••');
+  });
+
+  test('reformat keeps the caret after the same digit', function(assert) {
+    assert.deepEqual(reformat('42424', 5, formatCardNumber), { value: '4242 4', caret: 6 }, 'typing at the end');
+    assert.deepEqual(reformat('4242 44242', 6, formatCardNumber), { value: '4242 4424 2', caret: 6 }, 'typing in the middle');
+    assert.deepEqual(reformat('42424242', 2, formatCardNumber), { value: '4242 4242', caret: 2 });
+    assert.deepEqual(reformat('4242 2424 2', 0, formatCardNumber), { value: '4242 2424 2', caret: 0 });
+    assert.deepEqual(reformat('4', 1, formatExpiry), { value: '04', caret: 2 }, 'padding moves the caret along');
+  });
+
+  test('formatInput reformats an input element in place', function(assert) {
+    let input = document.createElement('input');
+    document.getElementById('ember-testing').appendChild(input);
+
+    input.value = '424242';
+    input.focus();
+    input.setSelectionRange(3, 3);
+
+    assert.equal(formatInput(input, formatCardNumber), '4242 42');
+    assert.equal(input.value, '4242 42');
+    assert.equal(input.selectionStart, 3);
+
+    input.parentNode.removeChild(input);
+  });
+});
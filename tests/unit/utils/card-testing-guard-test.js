@@ -0,0 +1,57 @@
+import { module, test } from 'qunit';
+import createCardTestingGuard from 'ember-stripe-service/utils/card-testing-guard';
+
+module('Unit | Utility | card-testing-guard', function(hooks) {
+  hooks.beforeEach(function() {
+    this.time = 1000000;
+    this.now = () => this.time;
+  });
+
+  test('it limits the attempts per window', function(assert) {
+    let guard = createCardTestingGuard({ maxAttempts: 2, window: 1000, now: this.now });
+
+    guard.recordAttempt();
+    this.time += 400;
+    guard.recordAttempt();
+
+    assert.deepEqual(guard.check(), { reason: 'rate_limit', retryAfter: 600 });
+
+    this.time += 600;
+    assert.strictEqual(guard.check(), null, 'the oldest attempt left the window');
+  });
+
+  test('cooldowns double on consecutive declines', function(assert) {
+    let guard = createCardTestingGuard({
+      declinesBeforeCooldown: 1,
+      cooldown: 100,
+      maxCooldown: 300,
+      now: this.now
+    });
+
+    guard.recordDecline();
+    assert.strictEqual(guard.check(), null, 'the first decline is free');
+
+    guard.recordDecline();
+    assert.deepEqual(guard.check(), { reason: 'cooldown', retryAfter: 100 });
+
+    guard.recordDecline();
+    assert.deepEqual(guard.check(), { reason: 'cooldown', retryAfter: 200 });
+
+    guard.recordDecline();
+    assert.deepEqual(guard.check(), { reason: 'cooldown', retryAfter: 300 }, 'up to maxCooldown');
+
+    guard.resetDeclines();
+    assert.strictEqual(guard.check(), null);
+    assert.equal(guard.declines, 0);
+  });
+
+  test('it asks for a challenge after challengeAfter declines, when one is provided', function(assert) {
+    let guard = createCardTestingGuard({ challengeAfter: 2, cooldown: 0, now: this.now });
+
+    guard.recordDecline();
+    guard.recordDecline();
+
+    assert.deepEqual(guard.check(true), { reason: 'challenge', retryAfter: 0 });
+    assert.strictEqual(guard.check(false), null, 'without a challenge only cooldowns apply');
+  });
+});
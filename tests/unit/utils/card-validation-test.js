@@ -0,0 +1,104 @@
+import { module, test } from 'qunit';
+import {
+  luhnCheck,
+  cardType,
+  validateCardNumber,
+  validateCVC,
+  parseExpiry,
+  validateExpiry,
+  validateCard,
+  stripeCardHelpers
+} from 'ember-stripe-service/utils/card-validation';
+
+module('Unit | Utility | card-validation', function() {
+  test('luhnCheck', function(assert) {
+    assert.ok(luhnCheck('4242424242424242'));
+    assert.ok(luhnCheck('4242 4242 4242 4242'), 'ignores spaces');
+    assert.notOk(luhnCheck('4242424242424241'));
+    assert.notOk(luhnCheck('4242abcd42424242'));
+  });
+
+  test('cardType detects brands', function(assert) {
+    assert.equal(cardType('4242424242424242'), 'Visa');
+    assert.equal(cardType('5555555555554444'), 'MasterCard');
+    assert.equal(cardType('2223003122003222'), 'MasterCard', 'Mastercard 2-series');
+    assert.equal(cardType('378282246310005'), 'American Express');
+    assert.equal(cardType('6011111111111117'), 'Discover');
+    assert.equal(cardType('6221260000000000'), 'Discover', 'co-branded Discover/UnionPay range');
+    assert.equal(cardType('30569309025904'), 'Diners Club');
+    assert.equal(cardType('3566002020360505'), 'JCB');
+    assert.equal(cardType('6200000000000005'), 'UnionPay');
+    assert.equal(cardType('6759649826438453'), 'Maestro');
+    assert.equal(cardType('9999999999999995'), 'Unknown');
+    assert.equal(cardType(''), 'Unknown');
+  });
+
+  test('validateCardNumber explains why a number is invalid', function(assert) {
+    assert.deepEqual(validateCardNumber('4242424242424242'), {
+      isValid: true,
+      isPotentiallyValid: true,
+      brand: 'Visa',
+      reason: null
+    });
+
+    assert.equal(validateCardNumber('').reason, 'empty');
+    assert.equal(validateCardNumber('4242x').reason, 'invalid_characters');
+    assert.equal(validateCardNumber('37828224631000').reason, 'invalid_length', 'Amex numbers have 15 digits');
+    assert.equal(validateCardNumber('4242424242424241').reason, 'failed_luhn');
+  });
+
+  test('validateCardNumber tells whether a partial number could still become valid', function(assert) {
+    assert.ok(validateCardNumber('4242').isPotentiallyValid);
+    assert.notOk(validateCardNumber('4242').isValid);
+    assert.notOk(validateCardNumber('3782822463100051').isPotentiallyValid, 'too long for Amex');
+    assert.ok(validateCardNumber('4242 4242 4242 4241').isPotentiallyValid, 'Visa numbers can have 19 digits');
+  });
+
+  test('validateCVC follows the brand', function(assert) {
+    assert.ok(validateCVC('123', '4242424242424242').isValid);
+    assert.equal(validateCVC('1234', '4242424242424242').reason, 'invalid_length');
+    assert.ok(validateCVC('1234', '378282246310005').isValid, 'Amex has 4 digits');
+    assert.ok(validateCVC('1234', 'American Express').isValid, 'takes a brand name');
+    assert.equal(validateCVC('123', 'American Express').reason, 'invalid_length');
+    assert.ok(validateCVC('1234').isValid, 'unknown brands accept 3 or 4 digits');
+    assert.equal(validateCVC('12a').reason, 'invalid_characters');
+    assert.equal(validateCVC('').reason, 'empty');
+  });
+
+  test('parseExpiry', function(assert) {
+    assert.deepEqual(parseExpiry('12/30'), { month: 12, year: 2030 });
+    assert.deepEqual(parseExpiry('01 / 2031'), { month: 1, year: 2031 });
+    assert.deepEqual(parseExpiry('0130'), { month: 1, year: 2030 });
+    assert.deepEqual(parseExpiry(3, 31), { month: 3, year: 2031 });
+    assert.strictEqual(parseExpiry('soon'), null);
+    assert.strictEqual(parseExpiry('1/2/3'), null);
+  });
+
+  test('validateExpiry', function(assert) {
+    let now = new Date(2024, 5, 15);
+
+    assert.ok(validateExpiry(6, 2024, now).isValid, 'valid until the end of the month');
+    assert.ok(validateExpiry('07/24', undefined, now).isValid);
+    assert.equal(validateExpiry(5, 2024, now).reason, 'expired');
+    assert.equal(validateExpiry(13, 2030, now).reason, 'invalid_month');
+    assert.equal(validateExpiry(12, 2099, now).reason, 'invalid_year');
+    assert.equal(validateExpiry('soon', undefined, now).reason, 'invalid_format');
+    assert.equal(validateExpiry('', undefined, now).reason, 'empty');
+  });
+
+  test('validateCard returns the reason of every invalid field', function(assert) {
+    let result = validateCard({ number: '378282246310005', cvc: '123', exp_month: 1, exp_year: 2001 });
+
+    assert.notOk(result.isValid);
+    assert.equal(result.brand, 'American Express');
+    assert.deepEqual(result.errors, { cvc: 'invalid_length', expiry: 'expired' });
+    assert.ok(validateCard({ number: '4242424242424242', cvc: '123', expMonth: 12, expYear: new Date().getFullYear() + 1 }).isValid);
+  });
+
+  test('stripeCardHelpers return booleans like Stripe.js v2', function(assert) {
+    assert.strictEqual(stripeCardHelpers.validateCardNumber('4242424242424242'), true);
+    assert.strictEqual(stripeCardHelpers.validateCVC('12'), false);
+    assert.strictEqual(stripeCardHelpers.validateExpiry('12', '2001'), false);
+    assert.equal(stripeCardHelpers.cardType('4242424242424242'), 'Visa');
+  });
+});
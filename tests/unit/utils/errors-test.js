@@ -0,0 +1,77 @@
+import { module, test } from 'qunit';
+import {
+  StripeError,
+  StripeCardError,
+  StripeInvalidRequestError,
+  StripeApiError,
+  StripeRateLimitError,
+  StripeScriptLoadError,
+  StripeOfflineError,
+  errorFromResponse
+} from 'ember-stripe-service/utils/errors';
+
+module('Unit | Utility | errors', function() {
+  test('errorFromResponse builds the error matching the type', function(assert) {
+    let response = {
+      error: {
+        type: 'card_error',
+        code: 'card_declined',
+        decline_code: 'insufficient_funds',
+        message: 'Your card has insufficient funds.'
+      }
+    };
+
+    let error = errorFromResponse(response, 402);
+
+    assert.ok(error instanceof StripeCardError);
+    assert.ok(error instanceof StripeError);
+    assert.ok(error instanceof Error);
+    assert.equal(error.name, 'StripeCardError');
+    assert.equal(error.message, 'Your card has insufficient funds.');
+    assert.equal(error.code, 'card_declined');
+    assert.equal(error.declineCode, 'insufficient_funds');
+    assert.equal(error.status, 402);
+    assert.equal(error.response, response);
+    assert.ok(error.stack, 'has a stack');
+  });
+
+  test('errorFromResponse falls back to StripeError for unknown types', function(assert) {
+    let error = errorFromResponse({ error: { type: 'something_new' } });
+
+    assert.equal(error.constructor, StripeError);
+    assert.equal(error.type, 'something_new');
+    assert.ok(error.message);
+  });
+
+  test('card errors can be fixed by the customer, processing errors can be retried', function(assert) {
+    let declined = errorFromResponse({ error: { type: 'card_error', code: 'card_declined' } });
+    let processing = errorFromResponse({ error: { type: 'card_error', code: 'processing_error' } });
+
+    assert.ok(declined.isUserFixable);
+    assert.notOk(declined.isRetryable);
+    assert.notOk(processing.isUserFixable);
+    assert.ok(processing.isRetryable);
+  });
+
+  test('invalid requests can be fixed by the customer when they name a param', function(assert) {
+    let withParam = errorFromResponse({ error: { type: 'invalid_request_error', param: 'routing_number' } });
+    let withoutParam = errorFromResponse({ error: { type: 'invalid_request_error' } });
+
+    assert.ok(withParam instanceof StripeInvalidRequestError);
+    assert.ok(withParam.isUserFixable);
+    assert.notOk(withoutParam.isUserFixable);
+  });
+
+  test('api, rate limit and script load errors can be retried', function(assert) {
+    assert.ok(errorFromResponse({ error: { type: 'api_error' } }) instanceof StripeApiError);
+    assert.ok(errorFromResponse({ error: { type: 'api_error' } }).isRetryable);
+    assert.ok(errorFromResponse({ error: { type: 'rate_limit_error' } }) instanceof StripeRateLimitError);
+    assert.ok(errorFromResponse({ error: { type: 'rate_limit_error' } }).isRetryable);
+
+    let offline = new StripeOfflineError('offline', { url: 'https://js.stripe.com/v2/' });
+    assert.ok(offline instanceof StripeScriptLoadError);
+    assert.ok(offline instanceof StripeError);
+    assert.ok(offline.isRetryable);
+    assert.notOk(offline.isUserFixable);
+  });
+});
@@ -0,0 +1,241 @@
+import { module, test } from 'qunit';
+import sinon from 'sinon';
+import loadScript, { resetLoadScript } from 'ember-stripe-service/utils/load-script';
+import {
+  StripeScriptLoadError,
+  StripeScriptTimeoutError,
+  StripeOfflineError
+} from 'ember-stripe-service/utils/errors';
+
+let uid = 0;
+
+function uniqueUrl(path) {
+  return `${path}?${Date.now()}-${uid++}`;
+}
+
+function fire(element, type) {
+  let event = document.createEvent('Event');
+  event.initEvent(type, false, false);
+  element.dispatchEvent(event);
+}
+
+// browsers fire load and error events asynchronously
+function fireLater(element, type) {
+  setTimeout(() => fire(element, type));
+}
+
+module('Unit | Utility | load-script', function(hooks) {
+  hooks.beforeEach(function() {
+    this.parent = document.getElementsByTagName('script')[0].parentNode;
+  });
+
+  hooks.afterEach(function() {
+    if (this.insertBefore) {
+      this.insertBefore.restore();
+    }
+  });
+
+  test('it loads a script once', function(assert) {
+    let url = uniqueUrl('/load-script-fixture.js');
+    let before = window.loadScriptFixtureCount || 0;
+    let promise = loadScript(url);
+
+    assert.strictEqual(loadScript(url), promise, 'subsequent calls chain off the same promise');
+
+    return promise.then(() => {
+      assert.equal(window.loadScriptFixtureCount, before + 1);
+    });
+  });
+
+  test('resetLoadScript forgets loaded scripts', function(assert) {
+    let url = uniqueUrl('/load-script-fixture.js');
+    let promise = loadScript(url);
+
+    return promise.then(() => {
+      resetLoadScript();
+
+      let next = loadScript(url);
+      assert.notStrictEqual(next, promise, 'the script is loaded again');
+      return next;
+    });
+  });
+
+  test('it evicts failed scripts so the next call tries again', function(assert) {
+    let url = uniqueUrl('/does-not-exist.js');
+    let promise = loadScript(url, { retries: 0 });
+
+    return promise.catch((error) => {
+      assert.ok(error instanceof StripeScriptLoadError);
+      assert.equal(error.url, url);
+      assert.notStrictEqual(loadScript(url, { retries: 0 }).catch(() => {}), promise, 'a new attempt is made');
+    });
+  });
+
+  test('it retries with exponential backoff', function(assert) {
+    let attempts = 0;
+    let startedAt = Date.now();
+
+    this.insertBefore = sinon.stub(this.parent, 'insertBefore').callsFake((element) => {
+      attempts++;
+      fireLater(element, attempts < 3 ? 'error' : 'load');
+    });
+
+    return loadScript(uniqueUrl('/flaky.js'), { retries: 2, retryDelay: 10 }).then(() => {
+      assert.equal(attempts, 3);
+      assert.ok(Date.now() - startedAt >= 30, 'waited 10ms then 20ms');
+    });
+  });
+
+  test('it sets the nonce on the script element', function(assert) {
+    let nonce;
+    this.insertBefore = sinon.stub(this.parent, 'insertBefore').callsFake((element) => {
+      nonce = element.getAttribute('nonce');
+      fireLater(element, 'load');
+    });
+
+    return loadScript(uniqueUrl('/nonce.js'), { nonce: 'abc123' }).then(() => {
+      assert.equal(nonce, 'abc123');
+    });
+  });
+
+  test('it uses the nonce of the page scripts by default', function(assert) {
+    let nonce;
+    let pageScript = document.createElement('script');
+    pageScript.setAttribute('nonce', 'page-nonce');
+    this.parent.appendChild(pageScript);
+
+    this.insertBefore = sinon.stub(this.parent, 'insertBefore').callsFake((element) => {
+      nonce = element.getAttribute('nonce');
+      fireLater(element, 'load');
+    });
+
+    return loadScript(uniqueUrl('/page-nonce.js')).then(() => {
+      assert.equal(nonce, 'page-nonce');
+      this.parent.removeChild(pageScript);
+    });
+  });
+
+  test('with waitForTag it waits for a script tag already in the page', function(assert) {
+    let url = uniqueUrl('/async.js');
+    let pageScript = document.createElement('script');
+    // not fetched, the test fires load itself
+    pageScript.type = 'text/plain';
+    pageScript.setAttribute('src', url);
+    this.parent.appendChild(pageScript);
+
+    this.insertBefore = sinon.stub(this.parent, 'insertBefore');
+
+    let promise = loadScript(url, { waitForTag: true });
+    fireLater(pageScript, 'load');
+
+    return promise.then(() => {
+      assert.equal(this.insertBefore.callCount, 0, 'no second tag is added');
+      this.parent.removeChild(pageScript);
+    });
+  });
+
+  test('without waitForTag it adds its own script tag', function(assert) {
+    let url = uniqueUrl('/async.js');
+    let pageScript = document.createElement('script');
+    pageScript.type = 'text/plain';
+    pageScript.setAttribute('src', url);
+    this.parent.appendChild(pageScript);
+
+    this.insertBefore = sinon.stub(this.parent, 'insertBefore').callsFake((element) => {
+      fireLater(element, 'load');
+    });
+
+    return loadScript(url).then(() => {
+      assert.equal(this.insertBefore.callCount, 1);
+      this.parent.removeChild(pageScript);
+    });
+  });
+
+  test('it gives up after the last retry', function(assert) {
+    this.insertBefore = sinon.stub(this.parent, 'insertBefore').callsFake((element) => {
+      fireLater(element, 'error');
+    });
+
+    return loadScript(uniqueUrl('/down.js'), { retries: 1, retryDelay: 1 }).catch((error) => {
+      assert.ok(error instanceof StripeScriptLoadError);
+      assert.equal(this.insertBefore.callCount, 2);
+    });
+  });
+
+  test('it rejects when the script does not load in time', function(assert) {
+    this.insertBefore = sinon.stub(this.parent, 'insertBefore');
+
+    return loadScript(uniqueUrl('/hanging.js'), { timeout: 10, retries: 0 }).catch((error) => {
+      assert.ok(error instanceof StripeScriptTimeoutError);
+      assert.ok(error instanceof StripeScriptLoadError, 'timeouts are load errors');
+      assert.equal(error.timeout, 10);
+    });
+  });
+
+  test('a script arriving after the timeout is waited for instead of being added twice', function(assert) {
+    let url = uniqueUrl('/late.js');
+    this.insertBefore = sinon.stub(this.parent, 'insertBefore').callsFake((element) => {
+      setTimeout(() => fire(element, 'load'), 30);
+    });
+
+    return loadScript(url, { timeout: 10, retries: 3, retryDelay: 1 }).then(() => {
+      assert.equal(this.insertBefore.callCount, 1, 'no second element is added');
+    });
+  });
+
+  test('a script arriving after the last retry is used by the next call', function(assert) {
+    let url = uniqueUrl('/late.js');
+    let element;
+    this.insertBefore = sinon.stub(this.parent, 'insertBefore').callsFake((added) => {
+      element = added;
+    });
+
+    return loadScript(url, { timeout: 10, retries: 0 }).catch((error) => {
+      assert.ok(error instanceof StripeScriptTimeoutError);
+
+      fire(element, 'load');
+
+      return loadScript(url, { timeout: 10, retries: 0 });
+    }).then(() => {
+      assert.equal(this.insertBefore.callCount, 1, 'the late script is not loaded again');
+    });
+  });
+
+  test('the late fixture runs once', function(assert) {
+    let url = uniqueUrl('/load-script-fixture.js');
+    let count = window.loadScriptFixtureCount || 0;
+    let insertBefore = this.parent.insertBefore;
+
+    // the fixture arrives after the timeout
+    this.insertBefore = sinon.stub(this.parent, 'insertBefore').callsFake((element, reference) => {
+      setTimeout(() => insertBefore.call(this.parent, element, reference), 30);
+    });
+
+    return loadScript(url, { timeout: 10, retries: 3, retryDelay: 1 }).then(() => {
+      assert.equal(window.loadScriptFixtureCount, count + 1);
+    });
+  });
+
+  test('it rejects when offline and loads once back online', function(assert) {
+    let url = uniqueUrl('/offline.js');
+
+    Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => false });
+    this.insertBefore = sinon.stub(this.parent, 'insertBefore').callsFake((element) => {
+      fireLater(element, 'load');
+    });
+
+    return loadScript(url).catch((error) => {
+      delete navigator.onLine;
+
+      assert.ok(error instanceof StripeOfflineError);
+      assert.equal(this.insertBefore.callCount, 0, 'nothing is requested while offline');
+
+      fire(window, 'online');
+      assert.equal(this.insertBefore.callCount, 1, 'the script is requested once online');
+
+      return loadScript(url);
+    }).then(() => {
+      assert.equal(this.insertBefore.callCount, 1, 'load chains off the attempt made when coming back online');
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import { module, test } from 'qunit';
+import sinon from 'sinon';
+import createLogger, { configuredLevel } from 'ember-stripe-service/utils/logger';
+
+function recordingSink() {
+  let sink = { messages: [] };
+
+  ['error', 'warn', 'info', 'debug'].forEach((level) => {
+    sink[level] = (...args) => sink.messages.push([level].concat(args));
+  });
+
+  return sink;
+}
+
+module('Unit | Utility | logger', function() {
+  test('it drops messages below its level', function(assert) {
+    let sink = recordingSink();
+    let logger = createLogger({ level: 'warn', sink });
+
+    logger.error('error');
+    logger.warn('warn');
+    logger.info('info');
+    logger.debug('debug');
+
+    assert.deepEqual(sink.messages, [
+      ['error', 'StripeService: error'],
+      ['warn', 'StripeService: warn']
+    ]);
+  });
+
+  test('an unknown level turns logging off', function(assert) {
+    let sink = recordingSink();
+
+    createLogger({ level: 'none', sink }).error('error');
+
+    assert.deepEqual(sink.messages, []);
+  });
+
+  test('it redacts every argument', function(assert) {
+    let sink = recordingSink();
+    let logger = createLogger({ level: 'debug', sink, prefix: 'Payments:' });
+
+    logger.debug('card:', { number: '4242424242424242', exp_month: 12 });
+    logger.info({ accountNumber: '000123456789' });
+
+    assert.deepEqual(sink.messages, [
+      ['debug', 'Payments: card:', { number: '[redacted]', exp_month: 12 }],
+      ['info', 'Payments:', { accountNumber: '[redacted]' }]
+    ]);
+  });
+
+  test('it falls back to the sink\'s log method', function(assert) {
+    let logged = [];
+    let logger = createLogger({ level: 'debug', sink: { log: (...args) => logged.push(args) } });
+
+    logger.debug('message');
+
+    assert.deepEqual(logged, [['StripeService: message']]);
+  });
+
+  test('debug messages go to console.log, which browsers show by default', function(assert) {
+    /* eslint-disable no-console */
+    let log = sinon.stub(console, 'log');
+    let debug = sinon.stub(console, 'debug');
+
+    createLogger({ level: 'debug' }).debug('message');
+
+    assert.ok(log.calledWith('StripeService: message'));
+    assert.ok(debug.notCalled);
+
+    log.restore();
+    debug.restore();
+  });
+
+  test('configuredLevel follows logLevel and debug', function(assert) {
+    assert.equal(configuredLevel({}), 'warn');
+    assert.equal(configuredLevel({ debug: true }), 'debug');
+    assert.equal(configuredLevel({ debug: true, logLevel: 'info' }), 'info');
+  });
+});
@@ -0,0 +1,51 @@
+import { module, test } from 'qunit';
+import redact, { REDACTED } from 'ember-stripe-service/utils/redact';
+
+module('Unit | Utility | redact', function() {
+  test('it redacts card, bank account and PII data fields', function(assert) {
+    assert.deepEqual(redact({
+      number: '4242424242424242',
+      cvc: '123',
+      exp_month: 12,
+      exp_year: 2030,
+      address_zip: '12345'
+    }), {
+      number: REDACTED,
+      cvc: REDACTED,
+      exp_month: 12,
+      exp_year: 2030,
+      address_zip: '12345'
+    });
+
+    assert.deepEqual(redact({ country: 'US', routingNumber: '110000000', accountNumber: '000123456789' }), {
+      country: 'US',
+      routingNumber: '110000000',
+      accountNumber: REDACTED
+    });
+
+    assert.deepEqual(redact({ personal_id_number: '000000000' }), { personal_id_number: REDACTED });
+
+    assert.deepEqual(redact({ type: 'sepa_debit', sepa_debit: { iban: 'DE89370400440532013000' } }), {
+      type: 'sepa_debit',
+      sepa_debit: { iban: REDACTED }
+    });
+
+    assert.deepEqual(redact({ id: 'src_123', client_secret: 'src_client_secret_123' }), { id: 'src_123', client_secret: REDACTED });
+  });
+
+  test('it redacts nested objects and arrays without touching the payload', function(assert) {
+    let payload = { card: { number: '4242424242424242' }, owners: [{ ssn_last_4: '0000' }] };
+
+    assert.deepEqual(redact(payload), { card: { number: REDACTED }, owners: [{ ssn_last_4: REDACTED }] });
+    assert.equal(payload.card.number, '4242424242424242');
+  });
+
+  test('it keeps blank fields and anything that is not a plain object', function(assert) {
+    let element = new (function Element() {})();
+
+    assert.deepEqual(redact({ number: '', cvc: null }), { number: '', cvc: null });
+    assert.strictEqual(redact(element), element);
+    assert.strictEqual(redact('4242'), '4242');
+    assert.strictEqual(redact(undefined), undefined);
+  });
+});
@@ -0,0 +1,228 @@
+import { module, test } from 'qunit';
+import { Promise as EmberPromise } from 'rsvp';
+import StripeMock from 'ember-stripe-service/utils/stripe-mock';
+
+function createToken(namespace, data) {
+  return new EmberPromise((resolve) => {
+    StripeMock[namespace].createToken(data, (status, response) => {
+      resolve({ status, response });
+    });
+  });
+}
+
+function createSource(data) {
+  return new EmberPromise((resolve) => {
+    StripeMock.source.create(data, (status, response) => {
+      resolve({ status, response });
+    });
+  });
+}
+
+module('Unit | Utility | stripe-mock', function(hooks) {
+  hooks.afterEach(function() {
+    StripeMock.resetMock();
+  });
+
+  let cc = {
+    number: '4242424242424242',
+    exp_month: 10,
+    exp_year: 2030,
+    cvc: '123',
+    address_zip: '12345'
+  };
+
+  test('card.createToken returns a realistic token for a valid card', function(assert) {
+    return createToken('card', cc).then(({ status, response }) => {
+      assert.equal(status, 200);
+      assert.ok(/^tok_/.test(response.id), 'id is prefixed with tok_');
+      assert.equal(response.card.brand, 'Visa');
+      assert.equal(response.card.last4, '4242');
+      assert.equal(response.card.exp_month, 10);
+      assert.equal(response.card.exp_year, 2030);
+      assert.ok(response.card.fingerprint, 'has a fingerprint');
+      assert.ok(response.created, 'has a created timestamp');
+      assert.strictEqual(response.livemode, false);
+      assert.strictEqual(response.used, false);
+    });
+  });
+
+  test('card fingerprints are stable for the same number', function(assert) {
+    return EmberPromise.all([createToken('card', cc), createToken('card', cc)]).then(([first, second]) => {
+      assert.notEqual(first.response.id, second.response.id);
+      assert.equal(first.response.card.fingerprint, second.response.card.fingerprint);
+    });
+  });
+
+  test('card.createToken follows Stripe test numbers', function(assert) {
+    let declined = createToken('card', { number: '4000000000000002' });
+    let expired = createToken('card', { number: '4000000000000069' });
+    let cvc = createToken('card', { number: '4000000000000127' });
+
+    return EmberPromise.all([declined, expired, cvc]).then(([declined, expired, cvc]) => {
+      assert.equal(declined.status, 402);
+      assert.equal(declined.response.error.type, 'card_error');
+      assert.equal(declined.response.error.code, 'card_declined');
+      assert.equal(declined.response.error.decline_code, 'generic_decline');
+      assert.equal(expired.response.error.code, 'expired_card');
+      assert.equal(cvc.response.error.code, 'incorrect_cvc');
+      assert.equal(cvc.response.error.param, 'cvc');
+    });
+  });
+
+  test('card.createToken rejects numbers failing the Luhn check', function(assert) {
+    return createToken('card', { number: '4242424242424243' }).then(({ response }) => {
+      assert.equal(response.error.code, 'invalid_number');
+    });
+  });
+
+  test('failNext injects a failure for a single call', function(assert) {
+    StripeMock.failNext('card', { type: 'api_error', message: 'boom' }, 500);
+
+    return createToken('card', cc).then(({ status, response }) => {
+      assert.equal(status, 500);
+      assert.equal(response.error.type, 'api_error');
+
+      return createToken('card', cc);
+    }).then(({ status }) => {
+      assert.equal(status, 200, 'only the next call fails');
+    });
+  });
+
+  test('setMockOptions injects latency', function(assert) {
+    StripeMock.setMockOptions({ latency: 20 });
+
+    let called = false;
+    StripeMock.card.createToken(cc, () => {
+      called = true;
+    });
+
+    assert.notOk(called, 'callback is not called synchronously');
+
+    return createToken('card', cc).then(() => {
+      assert.ok(called);
+    });
+  });
+
+  test('bankAccount.createToken follows Stripe test account numbers', function(assert) {
+    let ok = createToken('bankAccount', { country: 'US', routingNumber: '110000000', accountNumber: '000123456789' });
+    let closed = createToken('bankAccount', { country: 'US', routingNumber: '110000000', accountNumber: '000111111113' });
+
+    return EmberPromise.all([ok, closed]).then(([ok, closed]) => {
+      assert.ok(/^btok_/.test(ok.response.id));
+      assert.equal(ok.response.bank_account.last4, '6789');
+      assert.equal(closed.status, 400);
+      assert.equal(closed.response.error.code, 'account_closed');
+    });
+  });
+
+  test('bankAccount.createToken checks routing numbers', function(assert) {
+    return createToken('bankAccount', { country: 'US', routingNumber: '110000001', accountNumber: '000123456789' }).then(({ status, response }) => {
+      assert.equal(status, 400);
+      assert.equal(response.error.code, 'routing_number_invalid');
+    });
+  });
+
+  test('respondNext stubs the next response', function(assert) {
+    StripeMock.respondNext('card', { id: 'tok_stubbed' });
+
+    return createToken('card', cc).then(({ status, response }) => {
+      assert.equal(status, 200);
+      assert.equal(response.id, 'tok_stubbed');
+      assert.equal(response.card.last4, '4242', 'merged over the built token');
+    });
+  });
+
+  test('recordedCalls holds every call until the mock is reset', function(assert) {
+    return createToken('card', cc).then(() => {
+      let calls = StripeMock.recordedCalls();
+
+      assert.equal(calls.length, 1);
+      assert.equal(calls[0].namespace, 'card');
+      assert.strictEqual(calls[0].data, cc);
+      assert.equal(calls[0].status, 200);
+      assert.ok(/^tok_/.test(calls[0].response.id));
+
+      StripeMock.resetMock();
+      assert.deepEqual(StripeMock.recordedCalls(), []);
+    });
+  });
+
+  test('piiData.createToken requires a personal id number', function(assert) {
+    let ok = createToken('piiData', { personalIdNumber: '000000000' });
+    let missing = createToken('piiData', {});
+
+    return EmberPromise.all([ok, missing]).then(([ok, missing]) => {
+      assert.ok(/^pii_/.test(ok.response.id));
+      assert.equal(missing.response.error.type, 'invalid_request_error');
+    });
+  });
+
+  test('source.create builds sources by type', function(assert) {
+    let sepa = createSource({ type: 'sepa_debit', sepa_debit: { iban: 'DE89 3704 0044 0532 0130 00' }, currency: 'eur' });
+    let ideal = createSource({ type: 'ideal', amount: 1099, currency: 'eur', redirect: { return_url: 'https://example.com' } });
+    let untyped = createSource({});
+
+    return EmberPromise.all([sepa, ideal, untyped]).then(([sepa, ideal, untyped]) => {
+      assert.ok(/^src_/.test(sepa.response.id));
+      assert.equal(sepa.response.status, 'chargeable');
+      assert.equal(sepa.response.sepa_debit.last4, '3000');
+      assert.equal(ideal.response.status, 'pending');
+      assert.equal(ideal.response.flow, 'redirect');
+      assert.equal(untyped.status, 400);
+      assert.equal(untyped.response.error.param, 'type');
+    });
+  });
+
+  test('source.poll reports a pending source, then chargeable', function(assert) {
+    return createSource({ type: 'ideal', amount: 1099, currency: 'eur' }).then(({ response }) => {
+      let statuses = [];
+
+      return new EmberPromise((resolve) => {
+        StripeMock.source.poll(response.id, response.client_secret, (status, source) => {
+          statuses.push(source.status);
+
+          if (source.status !== 'pending') {
+            resolve();
+          }
+        });
+      }).then(() => {
+        assert.deepEqual(statuses, ['pending', 'chargeable']);
+      });
+    });
+  });
+
+  test('respondNext decides how a polled source ends up', function(assert) {
+    StripeMock.respondNext('sourcePoll', { status: 'failed' });
+
+    return createSource({ type: 'ideal', amount: 1099, currency: 'eur' }).then(({ response }) => {
+      return new EmberPromise((resolve) => {
+        StripeMock.source.poll(response.id, response.client_secret, (status, source) => {
+          if (source.status !== 'pending') {
+            resolve(source);
+          }
+        });
+      }).then((source) => {
+        assert.equal(source.status, 'failed');
+        assert.equal(source.id, response.id);
+      });
+    });
+  });
+
+  test('threeDSecure.create waits for a challenge', function(assert) {
+    let create = (params) => new EmberPromise((resolve) => {
+      StripeMock.threeDSecure.create(params, (status, response) => resolve({ status, response }));
+    });
+
+    let pending = create({ card: 'tok_visa', amount: 1099, currency: 'eur', return_url: 'https://example.com/3ds' });
+    let missing = create({ card: 'tok_visa', currency: 'eur' });
+
+    return EmberPromise.all([pending, missing]).then(([pending, missing]) => {
+      assert.ok(/^tdsrc_/.test(pending.response.id));
+      assert.equal(pending.response.status, 'redirect_pending');
+      assert.ok(pending.response.redirect.url, 'has a redirect url');
+      assert.equal(pending.response.redirect.return_url, 'https://example.com/3ds');
+      assert.equal(missing.status, 400);
+      assert.equal(missing.response.error.param, 'amount');
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import { module, test } from 'qunit';
+import buildWaiter, { getPendingWaiterState } from 'ember-stripe-service/utils/test-waiter';
+
+module('Unit | Utility | test-waiter', function() {
+  test('it waits until every operation has ended', function(assert) {
+    let waiter = buildWaiter('test');
+    let first = waiter.beginAsync({ type: 'card' });
+    let second = waiter.beginAsync({ type: 'bankAccount' });
+
+    assert.notOk(waiter.waitUntil());
+
+    waiter.endAsync(first);
+    waiter.endAsync(first);
+    assert.notOk(waiter.waitUntil(), 'ending twice is harmless');
+
+    waiter.endAsync(second);
+    assert.ok(waiter.waitUntil());
+  });
+
+  test('debugInfo lists the pending operations with their stack', function(assert) {
+    let waiter = buildWaiter('test');
+    waiter.beginAsync({ type: 'card' });
+    waiter.beginAsync({ type: 'piiData' });
+
+    let info = waiter.debugInfo();
+
+    assert.deepEqual(info.map(({ info }) => info.type), ['card', 'piiData'], 'oldest first');
+    assert.ok(info[0].startedAt <= Date.now());
+    assert.equal(typeof info[0].stack, 'string');
+  });
+
+  test('getPendingWaiterState reports the registered waiters', function(assert) {
+    let waiter = buildWaiter('test-state');
+    let token = waiter.beginAsync({ type: 'card' });
+
+    assert.notOk(getPendingWaiterState().waiters['test-state'], 'unregistered waiters are left out');
+
+    waiter.register();
+    assert.ok(waiter.isRegistered);
+
+    let state = getPendingWaiterState();
+    assert.equal(state.pending, 1);
+    assert.equal(state.waiters['test-state'][0].info.type, 'card');
+
+    waiter.endAsync(token);
+    waiter.unregister();
+    assert.notOk(waiter.isRegistered);
+    assert.equal(getPendingWaiterState().pending, 0);
+  });
+});
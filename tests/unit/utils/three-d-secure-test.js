@@ -0,0 +1,55 @@
+import { module, test } from 'qunit';
+import openChallenge, {
+  RESULT_MESSAGE,
+  redirectUrlOf,
+  isResultMessage
+} from 'ember-stripe-service/utils/three-d-secure';
+
+module('Unit | Utility | three-d-secure', function() {
+  test('redirectUrlOf only answers for pending challenges', function(assert) {
+    let url = 'https://hooks.stripe.com/3d_secure/authenticate';
+
+    assert.equal(redirectUrlOf({ status: 'redirect_pending', redirect: { url } }), url);
+    assert.equal(redirectUrlOf({ status: 'redirect_pending', redirect_url: url }), url);
+    assert.equal(redirectUrlOf({ status: 'pending', redirect: { url } }), url, 'sources too');
+    assert.strictEqual(redirectUrlOf({ status: 'succeeded', redirect: { url } }), null);
+    assert.strictEqual(redirectUrlOf({ status: 'redirect_pending' }), null);
+  });
+
+  test('isResultMessage checks the origin, type and id', function(assert) {
+    let origin = window.location.origin;
+    let data = { type: RESULT_MESSAGE, id: 'tdsrc_123', status: 'succeeded' };
+
+    assert.ok(isResultMessage({ origin, data }, 'tdsrc_123'));
+    assert.notOk(isResultMessage({ origin: 'https://evil.example.com', data }, 'tdsrc_123'), 'other origins are ignored');
+    assert.notOk(isResultMessage({ origin, data }, 'tdsrc_456'), 'other challenges are ignored');
+    assert.notOk(isResultMessage({ origin, data: { id: 'tdsrc_123', status: 'succeeded' } }, 'tdsrc_123'));
+    assert.notOk(isResultMessage({ origin, data: null }, 'tdsrc_123'));
+  });
+
+  test('openChallenge shows the url in a dialog', function(assert) {
+    let container = document.createElement('div');
+    let closed = 0;
+
+    let challenge = openChallenge('about:blank', {
+      container,
+      labels: { close: 'Back' },
+      onClose: () => closed++
+    });
+
+    assert.equal(challenge.element.parentNode, container);
+    assert.equal(challenge.element.getAttribute('aria-modal'), 'true');
+    assert.equal(challenge.element.getAttribute('aria-label'), 'Verify your card');
+    assert.equal(challenge.iframe.getAttribute('src'), 'about:blank');
+
+    let button = challenge.element.querySelector('button');
+    assert.equal(button.textContent, 'Back');
+
+    button.click();
+    assert.equal(closed, 1, 'closing is left to onClose');
+
+    challenge.close();
+    challenge.close();
+    assert.equal(container.childNodes.length, 0);
+  });
+});